@@ -3,10 +3,30 @@ const ToolDetector = require('./src/detector');
 const StatusBarManager = require('./src/status-bar');
 const NvmrcHandler = require('./src/nvmrc-handler');
 const Commands = require('./src/commands');
+const PackageVersionTracker = require('./src/package-tracker');
+const TerminalEnvironment = require('./src/terminal-environment');
+const NodeDebugConfigurationProvider = require('./src/debug-provider');
+const NodeVersionTaskProvider = require('./src/task-provider');
+const MatrixRunner = require('./src/matrix-runner');
+const VersionTreeProvider = require('./src/version-tree');
+const PatchChecker = require('./src/patch-checker');
+const WorkspaceHelper = require('./src/utils/workspace-helper');
+const NodeReleases = require('./src/utils/node-releases');
+
+// Settings that change which tools are found, the managers are re-detected when they change
+const DETECTION_SETTINGS = [
+    'preferredTool', 'nvmPath', 'fnmPath', 'pnpmPath', 'voltaPath', 'misePath',
+    'protoPath', 'asdfPath', 'nodenvPath', 'nPath'
+];
+
+// Settings that only change what the status bar shows
+const STATUS_SETTINGS = ['releaseWarnings', 'versionFilePrecedence'];
 
 let detector;
 let statusBarManager;
 let nvmrcHandler;
+let packageTracker;
+let terminalEnvironment;
 let commands;
 
 /**
@@ -15,69 +35,166 @@ let commands;
 async function activate(context) {
     console.log('Fast Node Switcher is now active');
 
+    // Keep the last fetched release listings so installs can be browsed offline
+    NodeReleases.setCacheDir(context.globalStorageUri.fsPath);
+
     // Initialize tool detector
-    detector = new ToolDetector();
+    detector = new ToolDetector(context.workspaceState);
     const manager = await detector.detectAll();
 
     if (!manager) {
-        // No version manager found, show error
-        await detector.showNoManagerError();
+        // No version manager found, show error without holding up activation
+        detector.showNoManagerError().catch(error => console.error('Failed to show manager error:', error));
     }
 
     // Initialize status bar
     statusBarManager = new StatusBarManager(detector);
     context.subscriptions.push(statusBarManager);
+
+    // Keep integrated terminals on the version shown in the status bar
+    terminalEnvironment = new TerminalEnvironment(context);
+    terminalEnvironment.register(context);
+    context.subscriptions.push(
+        terminalEnvironment,
+        statusBarManager.onDidUpdate(() => {
+            terminalEnvironment.apply(detector.getActiveManager())
+                .catch(error => console.error('Failed to update terminal PATH:', error));
+        })
+    );
     await statusBarManager.update();
 
+    // Follow nested version files as the active editor moves through the workspace
+    packageTracker = new PackageVersionTracker(statusBarManager, context.workspaceState);
+    context.subscriptions.push(packageTracker);
+
+    // Register commands before anything can prompt, so they work while a prompt is open
+    commands = new Commands(detector, statusBarManager, null, (newManager) => setupNvmrcHandler(newManager));
+    commands.register(context);
+
+    // The .nvmrc handler is replaced whenever the active manager changes, only the current one is disposed
+    context.subscriptions.push({
+        dispose: () => {
+            if (nvmrcHandler) {
+                nvmrcHandler.dispose();
+                nvmrcHandler = null;
+            }
+        }
+    });
+
     // Initialize .nvmrc handler if a manager is available
-    if (manager) {
-        nvmrcHandler = new NvmrcHandler(manager);
+    commands.nvmrcHandler = setupNvmrcHandler(manager);
 
-        // Auto-apply .nvmrc if workspace is open
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (workspaceFolders && workspaceFolders.length > 0) {
-            const workspaceFolder = workspaceFolders[0].uri.fsPath;
+    // Run node/pwa-node launch configurations under the project's Node version
+    new NodeDebugConfigurationProvider(detector).register(context);
 
-            // Apply .nvmrc on activation
-            await nvmrcHandler.autoApplyNvmrc(workspaceFolder);
+    // Run npm scripts under a given Node version from tasks.json
+    new NodeVersionTaskProvider(detector).register(context);
 
-            // Watch for .nvmrc changes
-            const watcher = nvmrcHandler.watchNvmrc(workspaceFolder);
-            context.subscriptions.push(watcher);
-        }
+    // Run an npm script under several installed versions
+    new MatrixRunner(detector).register(context);
 
-        context.subscriptions.push(nvmrcHandler);
-    }
+    // List managers, installed versions and aliases in the explorer, following every version switch
+    const versionTree = new VersionTreeProvider(detector, statusBarManager, commands);
+    versionTree.register(context);
+    context.subscriptions.push(statusBarManager.onDidUpdate(() => versionTree.refresh()));
 
-    // Register commands
-    commands = new Commands(detector, statusBarManager, nvmrcHandler);
-    commands.register(context);
+    // Periodically offer newer patch releases of the installed release lines
+    new PatchChecker(detector, statusBarManager, commands).register(context);
 
     // Listen for workspace folder changes
     context.subscriptions.push(
         vscode.workspace.onDidChangeWorkspaceFolders(async (event) => {
-            if (event.added.length > 0 && manager && nvmrcHandler) {
-                const workspaceFolder = event.added[0].uri.fsPath;
-                await nvmrcHandler.autoApplyNvmrc(workspaceFolder);
-                nvmrcHandler.watchNvmrc(workspaceFolder);
+            if (nvmrcHandler) {
+                for (const folder of event.removed) {
+                    nvmrcHandler.unwatchNvmrc(folder.uri.fsPath);
+                }
+                for (const folder of event.added) {
+                    const workspaceFolder = folder.uri.fsPath;
+                    nvmrcHandler.watchNvmrc(workspaceFolder);
+                    await nvmrcHandler.autoApplyNvmrc(workspaceFolder);
+                }
             }
+            await statusBarManager.update();
+        })
+    );
+
+    // Show the version of the active editor's package and offer to switch when it differs
+    context.subscriptions.push(
+        vscode.window.onDidChangeActiveTextEditor((editor) => {
+            packageTracker.onActiveEditorChanged(editor);
         })
     );
 
     // Listen for configuration changes
     context.subscriptions.push(
         vscode.workspace.onDidChangeConfiguration(async (event) => {
-            if (event.affectsConfiguration('fastNodeSwitcher')) {
-                // Re-detect tools if configuration changed
+            if (DETECTION_SETTINGS.some(setting => event.affectsConfiguration(`fastNodeSwitcher.${setting}`))) {
+                // Re-detect tools if a tool path or the preferred tool changed
+                const previousManager = detector.getActiveManager();
                 const newManager = await detector.detectAll();
                 if (newManager) {
+                    // Rebuild the .nvmrc handler if a different tool is now active
+                    if (!previousManager || previousManager.name !== newManager.name) {
+                        commands.nvmrcHandler = setupNvmrcHandler(newManager);
+                    }
                     await statusBarManager.update();
                 }
+            } else if (STATUS_SETTINGS.some(setting => event.affectsConfiguration(`fastNodeSwitcher.${setting}`))) {
+                await statusBarManager.update();
             }
         })
     );
 }
 
+/**
+ * Create the .nvmrc handler for a manager and watch for changes, then apply the workspace version in the background
+ * Any previous handler and its file watchers are disposed first
+ * @returns {NvmrcHandler|null} The new handler
+ */
+function setupNvmrcHandler(manager) {
+    if (nvmrcHandler) {
+        nvmrcHandler.dispose();
+        nvmrcHandler = null;
+    }
+
+    if (!manager) {
+        packageTracker.setHandler(null);
+        return null;
+    }
+
+    const handler = new NvmrcHandler(manager);
+    nvmrcHandler = handler;
+
+    // Watch for .nvmrc changes in every workspace folder, the handler owns the watchers
+    for (const workspaceFolder of WorkspaceHelper.getFolderPaths()) {
+        handler.watchNvmrc(workspaceFolder);
+    }
+    packageTracker.setHandler(handler);
+
+    // Not awaited: auto-apply may wait on prompts, which must not hold up activation
+    autoApplyVersionFiles(handler).catch(error => console.error('Failed to apply version files:', error));
+
+    return handler;
+}
+
+/**
+ * Auto-apply .nvmrc in every workspace folder, multi-root workspaces can pin different versions
+ * Stops early if the handler is replaced meanwhile, e.g. by switching managers while a prompt is open
+ */
+async function autoApplyVersionFiles(handler) {
+    for (const workspaceFolder of WorkspaceHelper.getFolderPaths()) {
+        if (handler !== nvmrcHandler) {
+            return;
+        }
+        await handler.autoApplyNvmrc(workspaceFolder);
+    }
+
+    // The workspace version was just applied, only show the active editor's package without prompting
+    if (handler === nvmrcHandler) {
+        await packageTracker.refresh(vscode.window.activeTextEditor, false);
+    }
+}
+
 /**
  * Deactivate the extension
  */
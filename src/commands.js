@@ -1,13 +1,26 @@
+const fs = require('fs');
+const path = require('path');
 const vscode = require('vscode');
+const VersionFileRegistry = require('./version-file-registry');
+const VersionSpec = require('./utils/version-spec');
+const NodeReleases = require('./utils/node-releases');
+const InstallRunner = require('./utils/install-runner');
+const DiskUsage = require('./utils/disk-usage');
+const GlobalPackages = require('./utils/global-packages');
+const WorkspaceHelper = require('./utils/workspace-helper');
+
+// Version files scanned per workspace when looking for pinned versions
+const MAX_PINNED_FILES = 500;
 
 /**
  * Command handlers for the extension
  */
 class Commands {
-    constructor(detector, statusBarManager, nvmrcHandler) {
+    constructor(detector, statusBarManager, nvmrcHandler, onManagerChanged = null) {
         this.detector = detector;
         this.statusBarManager = statusBarManager;
         this.nvmrcHandler = nvmrcHandler;
+        this.onManagerChanged = onManagerChanged;   // Rebuilds the .nvmrc handler, returns the new one
     }
 
     /**
@@ -26,9 +39,52 @@ class Commands {
             vscode.commands.registerCommand('fast-node-switcher.installVersion', () => this.installVersion())
         );
 
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.uninstallVersions', () => this.uninstallVersions())
+        );
+
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.copyGlobalPackages', () => this.copyGlobalPackages())
+        );
+
+        // Run by clicking the status bar while it warns about an end-of-life or insecure version
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.upgradeActiveVersion', () => this.upgradeActiveVersion())
+        );
+
+        // Also run from the Node Versions view, which passes the clicked manager, version or alias
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.createAlias', (item) => this.createAlias(item))
+        );
+
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.deleteAlias', (item) => this.deleteAlias(item))
+        );
+
         context.subscriptions.push(
             vscode.commands.registerCommand('fast-node-switcher.refreshVersions', () => this.refreshVersions())
         );
+
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.selectManager', () => this.selectManager())
+        );
+
+        // Path commands return strings for ${command:...} in launch.json and tasks.json
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.nodePath', (version) => this.resolveToolPath('node', version))
+        );
+
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.npmPath', (version) => this.resolveToolPath('npm', version))
+        );
+
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.npxPath', (version) => this.resolveToolPath('npx', version))
+        );
+
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.binDir', (version) => this.resolveBinDir(version))
+        );
     }
 
     /**
@@ -49,9 +105,26 @@ class Commands {
         }
 
         try {
-            const versions = await manager.getInstalledVersions();
+            const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+            let items;
+            if (config.get('showAllManagers', false)) {
+                items = await this.getAllManagersVersionItems(manager);
+            } else {
+                items = (await manager.getInstalledVersions()).map(version => ({
+                    label: version,
+                    description: 'Installed',
+                    version: version,
+                    manager: manager
+                }));
 
-            if (versions.length === 0) {
+                const aliasItems = await this.getAliasItems(manager);
+                if (aliasItems.length > 0 && vscode.QuickPickItemKind) {
+                    items.push({ label: 'Aliases', kind: vscode.QuickPickItemKind.Separator });
+                }
+                items.push(...aliasItems);
+            }
+
+            if (items.length === 0) {
                 const install = await vscode.window.showInformationMessage(
                     'No Node versions installed. Would you like to install one?',
                     'Install',
@@ -63,12 +136,6 @@ class Commands {
                 return;
             }
 
-            const items = versions.map(version => ({
-                label: version,
-                description: 'Installed',
-                version: version
-            }));
-
             items.push({
                 label: '$(add) Install New Version',
                 description: 'Install a new Node version',
@@ -83,7 +150,7 @@ class Commands {
                 if (selected.version === 'install') {
                     await this.installVersion();
                 } else {
-                    await this.selectScope(selected.version);
+                    await this.selectScope(selected.version, selected.manager);
                 }
             }
         } catch (error) {
@@ -91,20 +158,100 @@ class Commands {
         }
     }
 
+    /**
+     * Build quick pick items for the installed versions of every available manager
+     * Versions are grouped under a separator per manager, with the active manager first
+     * Returns an empty array if no manager has any version installed
+     */
+    async getAllManagersVersionItems(activeManager) {
+        const managers = await this.detector.detectAvailableManagers();
+        const ordered = [
+            ...managers.filter(m => m.name === activeManager.name),
+            ...managers.filter(m => m.name !== activeManager.name)
+        ];
+
+        const items = [];
+        for (const manager of ordered) {
+            const versions = await manager.getInstalledVersions();
+            if (versions.length === 0) {
+                continue;
+            }
+
+            const groupName = manager.name === activeManager.name
+                ? `${manager.getDisplayName()} (active)`
+                : manager.getDisplayName();
+
+            // Separators need VS Code 1.64+, older versions fall back to the description
+            if (vscode.QuickPickItemKind) {
+                items.push({ label: groupName, kind: vscode.QuickPickItemKind.Separator });
+            }
+
+            for (const version of versions) {
+                items.push({
+                    label: version,
+                    description: vscode.QuickPickItemKind ? 'Installed' : `Installed (${groupName})`,
+                    version: version,
+                    manager: manager
+                });
+            }
+
+            items.push(...await this.getAliasItems(manager, vscode.QuickPickItemKind ? null : groupName));
+        }
+
+        return items;
+    }
+
+    /**
+     * Build quick pick items for the aliases of a manager, so versions can be picked by name
+     * Aliases that don't point to an installed version are left out
+     * @param {string|null} groupName - Manager name to show when separators are unavailable
+     */
+    async getAliasItems(manager, groupName = null) {
+        if (!manager.supportsAliases()) {
+            return [];
+        }
+
+        const aliases = await manager.getAliases();
+        return aliases
+            .filter(alias => alias.version)
+            .map(alias => ({
+                label: `$(tag) ${alias.name}`,
+                description: groupName ? `→ ${alias.version} (${groupName})` : `→ ${alias.version}`,
+                version: alias.version,
+                manager: manager
+            }));
+    }
+
     /**
      * Select scope (global/local) and set version
+     * Defaults to the active manager; the unified picker passes the manager that owns the version
      */
-    async selectScope(version) {
-        const manager = this.detector.getActiveManager();
+    async selectScope(version, manager = this.detector.getActiveManager()) {
         if (!manager) return;
 
+        // Mention the tool when it isn't the active one, so the switch isn't mistaken for a no-op
+        const activeManager = this.detector.getActiveManager();
+        const via = activeManager && activeManager.name !== manager.name
+            ? ` with ${manager.getDisplayName()}`
+            : '';
+
         // If manager doesn't support scope, just set globally
         if (!manager.supportsScope()) {
+            // fnm always writes .node-version, so it still needs a folder
+            let folderPath = null;
+            if (manager.name === 'fnm') {
+                folderPath = await WorkspaceHelper.pickFolderPath(`Select the folder to use Node ${version} in`);
+                if (folderPath === undefined) {
+                    return;
+                }
+            }
+
             try {
-                await manager.setVersion(version, 'global');
+                await manager.setVersion(version, 'global', folderPath);
 
-                // Special message for fnm
-                if (manager.name === 'fnm') {
+                // Without terminal PATH injection, fnm terminals only pick up .node-version through its shell hook
+                const terminalPath = vscode.workspace.getConfiguration('fastNodeSwitcher').get('terminalPath', true);
+                if (manager.name === 'fnm' && !terminalPath) {
                     vscode.window.showInformationMessage(
                         `Created .node-version file with Node ${version}. Open a new terminal to use this version.`,
                         'Open Terminal'
@@ -114,7 +261,7 @@ class Commands {
                         }
                     });
                 } else {
-                    vscode.window.showInformationMessage(`Node version switched to: ${version}`);
+                    vscode.window.showInformationMessage(`Node version switched to: ${version}${via}`);
                 }
 
                 await this.statusBarManager.update();
@@ -133,9 +280,21 @@ class Commands {
         );
 
         if (scope) {
+            let folderPath = null;
+            if (scope.value === 'local') {
+                // Multi-root workspaces ask which folder to pin
+                folderPath = await WorkspaceHelper.pickFolderPath(`Select the folder to use Node ${version} in`);
+                if (folderPath === undefined) {
+                    return;
+                }
+            }
+
             try {
-                await manager.setVersion(version, scope.value);
-                vscode.window.showInformationMessage(`Node version switched to: ${version} (${scope.value})`);
+                await manager.setVersion(version, scope.value, folderPath);
+                const scopeLabel = folderPath && WorkspaceHelper.getFolderPaths().length > 1
+                    ? `local: ${path.basename(folderPath)}`
+                    : scope.value;
+                vscode.window.showInformationMessage(`Node version switched to: ${version} (${scopeLabel})${via}`);
                 await this.statusBarManager.update();
             } catch (error) {
                 vscode.window.showErrorMessage(`Failed to set version: ${error.message}`);
@@ -195,22 +354,21 @@ class Commands {
             return;
         }
 
-        const input = await vscode.window.showInputBox({
-            prompt: 'Enter Node version to install (e.g., 24, 22.1.0, lts)',
-            placeHolder: '24',
-            validateInput: (value) => {
-                if (!value) {
-                    return 'Version cannot be empty';
-                }
-                return null;
-            }
-        });
+        const selection = await this.pickInstallVersion(manager);
 
-        if (input) {
+        if (selection) {
             try {
-                vscode.window.showInformationMessage(`Installing Node ${input}...`);
-                await manager.installVersion(input);
-                vscode.window.showInformationMessage(`Node ${input} installed successfully`);
+                const version = selection.version || await this.resolveInstallVersion(manager, selection.input);
+
+                const installed = await InstallRunner.install(manager, version);
+                if (!installed) {
+                    vscode.window.showInformationMessage(`Installation of Node ${version} cancelled`);
+                    return;
+                }
+
+                if (vscode.workspace.getConfiguration('fastNodeSwitcher').get('copyGlobalPackagesOnInstall', false)) {
+                    await this.offerGlobalPackages(manager, version);
+                }
 
                 const buttons = ['Yes (Global)'];
                 if (manager.supportsScope()) {
@@ -219,23 +377,794 @@ class Commands {
                 buttons.push('No');
 
                 const use = await vscode.window.showInformationMessage(
-                    `Node ${input} installed. Set as active version?`,
+                    `Node ${version} installed. Set as active version?`,
                     ...buttons
                 );
 
                 if (use === 'Yes (Global)') {
-                    await manager.setVersion(input, 'global');
-                    vscode.window.showInformationMessage(`Node ${input} set as global version`);
+                    await manager.setVersion(version, 'global');
+                    vscode.window.showInformationMessage(`Node ${version} set as global version`);
                     await this.statusBarManager.update();
                 } else if (use === 'Yes (Local)') {
-                    await manager.setVersion(input, 'local');
-                    vscode.window.showInformationMessage(`Node ${input} set as local version`);
+                    const folderPath = await WorkspaceHelper.pickFolderPath(`Select the folder to use Node ${version} in`);
+                    if (folderPath === undefined) {
+                        return;
+                    }
+                    await manager.setVersion(version, 'local', folderPath);
+                    vscode.window.showInformationMessage(`Node ${version} set as local version`);
                     await this.statusBarManager.update();
                 }
             } catch (error) {
-                vscode.window.showErrorMessage(`Failed to install version: ${error.message}`);
+                const action = await vscode.window.showErrorMessage(
+                    `Failed to install version: ${error.message}`,
+                    'Show Output'
+                );
+                if (action === 'Show Output') {
+                    InstallRunner.getOutputChannel().show();
+                }
+            }
+        }
+    }
+
+    /**
+     * Upgrade Active Version command
+     * Offers the release that fixes the status bar warning: the newest patch of the line for security
+     * fixes, the newest supported LTS release for end-of-life lines
+     */
+    async upgradeActiveVersion() {
+        const manager = this.detector.getActiveManager();
+        const advisory = this.statusBarManager.advisory;
+        if (!manager || !advisory) {
+            await this.switchVersion();
+            return;
+        }
+
+        const reason = this.statusBarManager.describeAdvisory(advisory);
+        if (!advisory.target) {
+            const action = await vscode.window.showWarningMessage(reason, 'Switch Version...');
+            if (action === 'Switch Version...') {
+                await this.switchVersion();
+            }
+            return;
+        }
+
+        const targetLabel = advisory.targetLts
+            ? `Node ${advisory.target} (${advisory.targetLts} LTS)`
+            : `Node ${advisory.target}`;
+        const action = await vscode.window.showWarningMessage(
+            `${reason}. Install ${targetLabel} and switch to it?`,
+            'Install and Switch',
+            'Switch Version...'
+        );
+
+        if (action === 'Switch Version...') {
+            await this.switchVersion();
+            return;
+        }
+        if (action !== 'Install and Switch') {
+            return;
+        }
+
+        try {
+            const installedVersions = await manager.getInstalledVersions();
+            if (!installedVersions.includes(advisory.target)) {
+                const installed = await InstallRunner.install(manager, advisory.target);
+                if (!installed) {
+                    vscode.window.showInformationMessage(`Installation of Node ${advisory.target} cancelled`);
+                    return;
+                }
+            }
+            await this.selectScope(advisory.target, manager);
+        } catch (error) {
+            const choice = await vscode.window.showErrorMessage(
+                `Failed to install version: ${error.message}`,
+                'Show Output'
+            );
+            if (choice === 'Show Output') {
+                InstallRunner.getOutputChannel().show();
+            }
+        }
+    }
+
+    /**
+     * Copy Global Packages command
+     */
+    async copyGlobalPackages() {
+        const manager = this.detector.getActiveManager();
+        if (!manager) {
+            await this.detector.showNoManagerError();
+            return;
+        }
+
+        try {
+            const installedVersions = VersionSpec.sort(await manager.getInstalledVersions());
+            if (installedVersions.length < 2) {
+                vscode.window.showInformationMessage('Copying global packages needs at least two installed Node versions');
+                return;
+            }
+
+            const currentVersion = await manager.getCurrentVersion();
+            const fromVersion = await this.pickInstalledVersion(
+                installedVersions, currentVersion, 'Copy global packages from which Node version?'
+            );
+            if (!fromVersion) {
+                return;
+            }
+
+            const toVersion = await this.pickInstalledVersion(
+                installedVersions.filter(v => v !== fromVersion), currentVersion, `Copy global packages of Node ${fromVersion} to which version?`
+            );
+            if (!toVersion) {
+                return;
+            }
+
+            await this.pickAndCopyGlobalPackages(manager, fromVersion, toVersion);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to copy global packages: ${error.message}`);
+        }
+    }
+
+    /**
+     * Offer to copy global packages into a freshly installed version
+     * Only runs when the copyGlobalPackagesOnInstall setting is on
+     */
+    async offerGlobalPackages(manager, version) {
+        try {
+            const otherVersions = VersionSpec.sort(await manager.getInstalledVersions())
+                .filter(v => v !== String(version).replace(/^v/, ''));
+            if (otherVersions.length === 0) {
+                return;
+            }
+
+            const fromVersion = await this.pickInstalledVersion(
+                otherVersions,
+                await manager.getCurrentVersion(),
+                `Copy global packages to Node ${version} from... (Esc to skip)`
+            );
+            if (fromVersion) {
+                await this.pickAndCopyGlobalPackages(manager, fromVersion, version);
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to copy global packages: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pick one of the installed versions, the current one first
+     * @returns {Promise<string|undefined>} Version, or undefined if cancelled
+     */
+    async pickInstalledVersion(versions, currentVersion, placeHolder) {
+        const current = currentVersion ? String(currentVersion).replace(/^v/, '') : null;
+        const ordered = versions.includes(current)
+            ? [current, ...versions.filter(v => v !== current)]
+            : versions;
+
+        const selected = await vscode.window.showQuickPick(
+            ordered.map(version => ({
+                label: version,
+                description: version === current ? 'current' : '',
+                version
+            })),
+            { placeHolder }
+        );
+        return selected ? selected.version : undefined;
+    }
+
+    /**
+     * List the global packages of a version, let the user pick and install them into another
+     */
+    async pickAndCopyGlobalPackages(manager, fromVersion, toVersion) {
+        const packages = await vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Window,
+                title: `Reading global packages of Node ${fromVersion}...`
+            },
+            () => GlobalPackages.list(manager, fromVersion)
+        );
+
+        // npm link'ed packages can only be relinked by a manager that copies packages itself
+        const native = manager.supportsReinstallPackages();
+        const copyable = native ? packages : packages.filter(pkg => !pkg.linked);
+        if (copyable.length === 0) {
+            vscode.window.showInformationMessage(`Node ${fromVersion} has no global packages to copy`);
+            return;
+        }
+
+        const selected = await vscode.window.showQuickPick(
+            copyable.map(pkg => ({
+                label: pkg.name,
+                description: pkg.linked ? `${pkg.version || ''} (linked)`.trim() : pkg.version || '',
+                picked: true,
+                pkg
+            })),
+            {
+                placeHolder: `Select the global packages to install into Node ${toVersion}`,
+                canPickMany: true
+            }
+        );
+        if (!selected || selected.length === 0) {
+            return;
+        }
+
+        const chosen = selected.map(item => item.pkg);
+        const result = await GlobalPackages.copy(manager, fromVersion, toVersion, chosen, chosen.length === packages.length);
+
+        if (result.cancelled) {
+            vscode.window.showInformationMessage(`Copying global packages cancelled, ${result.copied.length} installed`);
+            return;
+        }
+        const message = `Copied ${result.copied.length} global package(s) to Node ${toVersion}`;
+        if (result.failed.length === 0) {
+            vscode.window.showInformationMessage(message);
+            return;
+        }
+
+        const action = await vscode.window.showWarningMessage(
+            `${message}, ${result.failed.length} failed: ${result.failed.map(f => f.name).join(', ')}`,
+            'Show Output'
+        );
+        if (action === 'Show Output') {
+            InstallRunner.getOutputChannel().show();
+        }
+    }
+
+    /**
+     * Uninstall Versions command
+     * The current version, the default alias and versions pinned by the open workspace can't be removed
+     */
+    async uninstallVersions() {
+        const manager = this.detector.getActiveManager();
+        if (!manager) {
+            await this.detector.showNoManagerError();
+            return;
+        }
+
+        try {
+            // Newest first, each version once even if the manager lists it twice
+            const installedVersions = VersionSpec.sort(
+                (await manager.getInstalledVersions()).map(version => String(version).replace(/^v/, ''))
+            );
+            if (installedVersions.length === 0) {
+                vscode.window.showInformationMessage('No Node versions installed');
+                return;
+            }
+
+            const [protectedVersions, sizes] = await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Window,
+                    title: 'Measuring installed Node versions...'
+                },
+                () => Promise.all([
+                    this.getProtectedVersions(manager, installedVersions),
+                    Promise.all(installedVersions.map(version => this.getVersionSize(manager, version)))
+                ])
+            );
+
+            const removable = [];
+            const locked = [];
+            installedVersions.forEach((version, index) => {
+                const size = sizes[index];
+                const sizeText = size === null ? 'Size unknown' : DiskUsage.format(size);
+                const reasons = protectedVersions.get(String(version).replace(/^v/, ''));
+                if (reasons) {
+                    locked.push({
+                        label: `$(lock) ${version}`,
+                        description: `${sizeText} · Protected: ${reasons.join(', ')}`,
+                        version,
+                        size,
+                        reasons
+                    });
+                } else {
+                    removable.push({ label: version, description: sizeText, version, size });
+                }
+            });
+
+            const items = [...removable];
+            if (locked.length > 0) {
+                // Separators need VS Code 1.64+, the description already says why a version is protected
+                if (vscode.QuickPickItemKind) {
+                    items.push({ label: 'Protected', kind: vscode.QuickPickItemKind.Separator });
+                }
+                items.push(...locked);
+            }
+
+            const selected = await vscode.window.showQuickPick(items, {
+                placeHolder: 'Select the Node versions to uninstall',
+                canPickMany: true
+            });
+            if (!selected || selected.length === 0) {
+                return;
+            }
+
+            const skipped = selected.filter(item => item.reasons);
+            if (skipped.length > 0) {
+                vscode.window.showWarningMessage(
+                    `Skipped protected versions: ${skipped.map(item => `${item.version} (${item.reasons.join(', ')})`).join('; ')}`
+                );
+            }
+
+            const targets = selected.filter(item => !item.reasons);
+            if (targets.length === 0) {
+                return;
             }
+
+            const totalSize = targets.reduce((sum, item) => sum + (item.size || 0), 0);
+            const confirm = await vscode.window.showWarningMessage(
+                `Uninstall Node ${targets.map(item => item.version).join(', ')}` +
+                    (totalSize > 0 ? ` and free ${DiskUsage.format(totalSize)}?` : '?'),
+                { modal: true },
+                'Uninstall'
+            );
+            if (confirm !== 'Uninstall') {
+                return;
+            }
+
+            const failures = [];
+            let freed = 0;
+            let removed = 0;
+            await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Notification,
+                    title: 'Uninstalling Node versions'
+                },
+                async (progress) => {
+                    for (const item of targets) {
+                        progress.report({ message: item.version, increment: 100 / targets.length });
+                        try {
+                            await manager.uninstallVersion(item.version);
+                            freed += item.size || 0;
+                            removed++;
+                        } catch (error) {
+                            failures.push(`${item.version}: ${error.message}`);
+                        }
+                    }
+                }
+            );
+
+            await this.statusBarManager.update();
+
+            if (removed > 0) {
+                vscode.window.showInformationMessage(
+                    `Uninstalled ${removed} Node version${removed > 1 ? 's' : ''}, freed ${DiskUsage.format(freed)}`
+                );
+            }
+            if (failures.length > 0) {
+                vscode.window.showErrorMessage(`Failed to uninstall ${failures.join('; ')}`);
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to uninstall versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the versions that must not be uninstalled, with the reasons
+     * @returns {Promise<Map<string, string[]>>} Reasons by version (without 'v' prefix)
+     */
+    async getProtectedVersions(manager, installedVersions) {
+        const protectedVersions = new Map();
+        const protect = (version, reason) => {
+            if (!version || !VersionSpec.toParts(version)) {
+                return;
+            }
+            const cleanVersion = String(version).trim().replace(/^v/, '');
+            const reasons = protectedVersions.get(cleanVersion) || [];
+            if (!reasons.includes(reason)) {
+                reasons.push(reason);
+            }
+            protectedVersions.set(cleanVersion, reasons);
+        };
+
+        const folders = WorkspaceHelper.getFolderPaths();
+        for (const folderPath of folders.length > 0 ? folders : [null]) {
+            protect(await manager.getCurrentVersion(folderPath), 'current version');
+        }
+        protect(await manager.getDefaultVersion(), 'default alias');
+
+        for (const found of await this.findVersionFiles(manager)) {
+            if (!VersionSpec.isSupported(found.version)) {
+                continue;
+            }
+            const resolved = VersionSpec.resolve(found.version, installedVersions);
+            if (resolved) {
+                protect(resolved.version, `pinned by ${vscode.workspace.asRelativePath(found.filePath)}`);
+            }
+        }
+
+        return protectedVersions;
+    }
+
+    /**
+     * Find the version files anywhere in the workspace, including nested packages of a monorepo
+     * @returns {Promise<object[]>} Results of VersionFileRegistry.find, one per version file
+     */
+    async findVersionFiles(manager) {
+        if (WorkspaceHelper.getFolderPaths().length === 0) {
+            return [];
+        }
+
+        const registry = VersionFileRegistry.createDefault();
+        const files = await vscode.workspace.findFiles(
+            registry.getWatchGlob(manager),
+            '**/node_modules/**',
+            MAX_PINNED_FILES
+        );
+        const found = new Map();
+        for (const file of files) {
+            const result = registry.find(path.dirname(file.fsPath), manager);
+            // A package without its own version file finds its parent's
+            if (result && !found.has(result.filePath)) {
+                found.set(result.filePath, result);
+            }
+        }
+        return [...found.values()];
+    }
+
+    /**
+     * Get the size on disk of an installed version
+     * @returns {Promise<number|null>} Size in bytes, or null if the installation can't be located
+     */
+    async getVersionSize(manager, version) {
+        const installDir = manager.getInstallDirs(String(version).replace(/^v/, '')).find(dir => fs.existsSync(dir));
+        return installDir ? await DiskUsage.getSize(installDir) : null;
+    }
+
+    /**
+     * Create Alias command
+     * @param {object} [target] - Node Versions view item; its manager and version are used instead of asking
+     */
+    async createAlias(target) {
+        const manager = target && target.manager ? target.manager : this.detector.getActiveManager();
+        if (!manager) {
+            await this.detector.showNoManagerError();
+            return;
+        }
+        if (!manager.supportsAliases()) {
+            vscode.window.showWarningMessage(`${manager.getDisplayName()} does not support aliases`);
+            return;
+        }
+
+        try {
+            let version = target && target.kind === 'version' ? target.version : null;
+            if (!version) {
+                const installedVersions = await manager.getInstalledVersions();
+                if (installedVersions.length === 0) {
+                    vscode.window.showInformationMessage('No Node versions installed');
+                    return;
+                }
+                const selected = await vscode.window.showQuickPick(
+                    VersionSpec.sort(installedVersions).map(v => ({ label: v, version: v })),
+                    { placeHolder: 'Select the Node version the alias points to' }
+                );
+                if (!selected) {
+                    return;
+                }
+                version = selected.version;
+            }
+
+            const name = await vscode.window.showInputBox({
+                prompt: `Enter an alias name for Node ${version}`,
+                placeHolder: 'work',
+                validateInput: (value) => {
+                    if (!value) {
+                        return 'Alias name cannot be empty';
+                    }
+                    try {
+                        manager.cleanAliasName(value);
+                    } catch (error) {
+                        return 'Use letters, digits, "-", "_", "." or "/", without spaces';
+                    }
+                    // nvm and fnm would read a name such as '20' or 'lts' as a version
+                    if (value.trim() !== 'default' && VersionSpec.isSupported(value)) {
+                        return `"${value}" is read as a version, choose another name`;
+                    }
+                    return null;
+                }
+            });
+            if (!name) {
+                return;
+            }
+
+            await manager.setAlias(name, version);
+            vscode.window.showInformationMessage(`Alias ${name.trim()} now points to Node ${version} (${manager.getDisplayName()})`);
+            await this.statusBarManager.update();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to create alias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete Alias command
+     * @param {object} [target] - Node Versions view item; an alias item is deleted without asking which
+     */
+    async deleteAlias(target) {
+        const manager = target && target.manager ? target.manager : this.detector.getActiveManager();
+        if (!manager) {
+            await this.detector.showNoManagerError();
+            return;
+        }
+        if (!manager.supportsAliases()) {
+            vscode.window.showWarningMessage(`${manager.getDisplayName()} does not support aliases`);
+            return;
+        }
+
+        try {
+            let name = target && target.kind === 'alias' ? target.aliasName : null;
+            if (!name) {
+                const aliases = await manager.getAliases();
+                if (aliases.length === 0) {
+                    vscode.window.showInformationMessage(`No ${manager.getDisplayName()} aliases found`);
+                    return;
+                }
+                const selected = await vscode.window.showQuickPick(
+                    aliases.map(alias => ({
+                        label: alias.name,
+                        description: alias.version ? `→ ${alias.version}` : `→ ${alias.target} (not installed)`,
+                        name: alias.name
+                    })),
+                    { placeHolder: 'Select the alias to delete' }
+                );
+                if (!selected) {
+                    return;
+                }
+                name = selected.name;
+            }
+
+            await manager.deleteAlias(name);
+            vscode.window.showInformationMessage(`Alias ${name} deleted (${manager.getDisplayName()})`);
+            await this.statusBarManager.update();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to delete alias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Let the user pick a release to install, grouped by major line, or type a version
+     * @returns {Promise<object|null>} { version } for a listed release, { input } for a typed spec, null if cancelled
+     */
+    async pickInstallVersion(manager) {
+        const [listing, installedVersions] = await vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Window,
+                title: 'Loading Node releases...'
+            },
+            () => Promise.all([
+                this.getReleaseListing(manager),
+                manager.getInstalledVersions().catch(() => [])
+            ])
+        );
+
+        const items = [
+            {
+                label: '$(edit) Enter Version or Range...',
+                description: 'e.g., 24, 22.1.0, lts, ^20.10',
+                input: true
+            },
+            ...this.getReleaseItems(listing, installedVersions)
+        ];
+
+        const placeHolder = listing.cached
+            ? `Offline, showing releases from ${listing.fetchedAt.slice(0, 10)}`
+            : 'Select a Node version to install';
+        const selected = await vscode.window.showQuickPick(items, {
+            placeHolder,
+            matchOnDescription: true
+        });
+
+        if (!selected) {
+            return null;
+        }
+        if (selected.input) {
+            const input = await this.promptInstallVersion();
+            return input ? { input } : null;
         }
+        return { version: selected.version };
+    }
+
+    /**
+     * Ask for a version, alias or range to install
+     */
+    async promptInstallVersion() {
+        return await vscode.window.showInputBox({
+            prompt: 'Enter Node version to install (e.g., 24, 22.1.0, lts, ^20.10)',
+            placeHolder: '24',
+            validateInput: (value) => {
+                if (!value) {
+                    return 'Version cannot be empty';
+                }
+                if (!VersionSpec.isSupported(value)) {
+                    return 'Enter a version (e.g., 24, 22.1.0), an alias (e.g., lts, lts/iron, latest) or a range (e.g., ^20.10, >=18 <21)';
+                }
+                return null;
+            }
+        });
+    }
+
+    /**
+     * Get the releases to offer for installation
+     * Uses the nodejs.org index (or its cached copy) and the release schedule, falling back to the manager's ls-remote
+     * @returns {Promise<object>} { releases, schedule, fetchedAt, cached }
+     */
+    async getReleaseListing(manager) {
+        try {
+            const [index, schedule] = await Promise.all([
+                NodeReleases.getIndex(manager.getFlavor()),
+                NodeReleases.getSchedule().catch(() => null)
+            ]);
+            return {
+                releases: index.releases,
+                schedule: schedule ? schedule.schedule : {},
+                fetchedAt: index.fetchedAt,
+                cached: index.cached
+            };
+        } catch (error) {
+            console.error('Failed to load Node.js release index, using the manager listing:', error);
+        }
+
+        let versions = [];
+        try {
+            versions = await manager.getAvailableVersions();
+        } catch (error) {
+            console.error('Failed to list remote versions:', error);
+        }
+
+        const releases = VersionSpec.sort(
+            versions.filter(version => VersionSpec.toParts(version)).map(version => VersionSpec.clean(version))
+        ).map(version => ({ version }));
+        return { releases, schedule: {}, fetchedAt: null, cached: false };
+    }
+
+    /**
+     * Build quick pick items for remote releases, grouped under a separator per major line
+     * Each entry shows its LTS codename, release date, npm version and the line's support status
+     */
+    getReleaseItems(listing, installedVersions = []) {
+        const installed = new Set(installedVersions.map(version => String(version).replace(/^v/, '')));
+        const groups = new Map();
+        for (const release of listing.releases) {
+            const parts = VersionSpec.toParts(release.version);
+            if (!parts) {
+                continue;
+            }
+            if (!groups.has(parts[0])) {
+                groups.set(parts[0], []);
+            }
+            groups.get(parts[0]).push(release);
+        }
+
+        const items = [];
+        for (const [major, releases] of groups) {
+            const entry = listing.schedule[major];
+            const status = entry ? NodeReleases.getSupportStatus(entry) : null;
+            const codename = (entry && entry.codename) || (releases.find(release => release.lts) || {}).lts;
+
+            const header = [`Node ${major}`];
+            if (codename) {
+                header.push(codename);
+            }
+            if (status) {
+                header.push(status.eol
+                    ? `End-of-life since ${status.until}`
+                    : `${status.label}${status.until ? ` until ${status.until}` : ''}`);
+            }
+            const groupName = header.join(' · ');
+
+            // Separators need VS Code 1.64+, older versions fall back to the description
+            if (vscode.QuickPickItemKind) {
+                items.push({ label: groupName, kind: vscode.QuickPickItemKind.Separator });
+            }
+
+            for (const release of releases) {
+                const isInstalled = installed.has(release.version);
+                const details = [];
+                if (release.lts) {
+                    details.push(`LTS ${release.lts}`);
+                }
+                if (release.date) {
+                    details.push(release.date);
+                }
+                if (release.npm) {
+                    details.push(`npm ${release.npm}`);
+                }
+                if (status && status.eol) {
+                    details.push('End-of-life');
+                }
+                if (isInstalled) {
+                    details.push('Installed');
+                }
+                if (!vscode.QuickPickItemKind) {
+                    details.push(groupName);
+                }
+
+                items.push({
+                    label: `${isInstalled ? '$(check) ' : ''}${release.version}`,
+                    description: details.join(' · '),
+                    version: release.version
+                });
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Resolve an install spec to a concrete release so every manager installs the same version
+     * Falls back to the spec itself when it can't be resolved (offline, or an alias like 'nightly')
+     */
+    async resolveInstallVersion(manager, spec) {
+        const releases = await NodeReleases.getReleases(manager);
+        const resolved = VersionSpec.resolve(spec, [], releases);
+        if (resolved) {
+            return resolved.version;
+        }
+        if (VersionSpec.isValid(spec)) {
+            return VersionSpec.clean(spec);
+        }
+        throw new Error(`No Node release matches ${spec}`);
+    }
+
+    /**
+     * Resolve a version for the path commands, defaulting to the active folder's current version
+     * Specs like '20' or 'lts/iron' pick the best installed match
+     * @returns {Promise<string|null>} Installed version, null after reporting why it can't be resolved
+     */
+    async resolvePathVersion(manager, version) {
+        const target = typeof version === 'string' && version
+            ? version
+            : await manager.getCurrentVersion(WorkspaceHelper.getActiveFolderPath());
+        if (!target) {
+            vscode.window.showErrorMessage(`No Node version is currently set (managed by ${manager.getDisplayName()})`);
+            return null;
+        }
+
+        if (/^v?\d+\.\d+\.\d+$/.test(target)) {
+            return target.replace(/^v/, '');
+        }
+
+        const resolved = VersionSpec.resolve(target, await manager.getInstalledVersions());
+        if (!resolved) {
+            vscode.window.showErrorMessage(`No installed Node version matches ${target}`);
+            return null;
+        }
+        return resolved.version;
+    }
+
+    /**
+     * Resolve the bin directory of a version
+     * Used by ${command:fast-node-switcher.binDir}, so it returns a string and reports problems itself
+     * @param {string} [version] - Version or spec, defaults to the active folder's current version
+     * @returns {Promise<string|undefined>} Directory path, undefined if it can't be resolved
+     */
+    async resolveBinDir(version) {
+        return this.resolveToolPath(null, version);
+    }
+
+    /**
+     * Resolve the absolute path of node, npm or npx for a version
+     * Used by ${command:fast-node-switcher.nodePath} and friends
+     * @param {string|null} tool - 'node', 'npm' or 'npx', or null for the bin directory
+     * @param {string} [version] - Version or spec, defaults to the active folder's current version
+     * @returns {Promise<string|undefined>} Path, undefined if it can't be resolved
+     */
+    async resolveToolPath(tool, version) {
+        const manager = this.detector.getActiveManager();
+        if (!manager) {
+            await this.detector.showNoManagerError();
+            return undefined;
+        }
+
+        const target = await this.resolvePathVersion(manager, version);
+        if (!target) {
+            return undefined;
+        }
+
+        const resolvedPath = tool ? manager.getToolPath(target, tool) : manager.getBinDir(target);
+        if (!resolvedPath) {
+            vscode.window.showErrorMessage(
+                `Could not find ${tool || 'the bin directory'} for Node ${target} (managed by ${manager.getDisplayName()})`
+            );
+            return undefined;
+        }
+        return resolvedPath;
     }
 
     /**
@@ -262,6 +1191,72 @@ class Commands {
             vscode.window.showErrorMessage(`Failed to refresh versions: ${error.message}`);
         }
     }
+
+    /**
+     * Select the active version manager command
+     * The choice is remembered per workspace
+     */
+    async selectManager() {
+        const managers = await this.detector.detectAvailableManagers();
+
+        if (managers.length === 0) {
+            await this.detector.showNoManagerError();
+            return;
+        }
+
+        const activeManager = this.detector.getActiveManager();
+        const selectedName = this.detector.getSelectedManagerName();
+
+        const items = managers.map(manager => ({
+            label: activeManager && activeManager.name === manager.name
+                ? `$(check) ${manager.getDisplayName()}`
+                : manager.getDisplayName(),
+            description: manager.getBinaryPath() || '',
+            managerName: manager.name
+        }));
+
+        items.push({
+            label: '$(sync) Automatic',
+            description: selectedName ? 'Use preferredTool setting and detection order' : 'Currently in use',
+            managerName: null
+        });
+
+        const selected = await vscode.window.showQuickPick(items, {
+            placeHolder: 'Select the version manager for this workspace'
+        });
+
+        if (!selected) {
+            return;
+        }
+
+        try {
+            let manager;
+            if (selected.managerName) {
+                const switched = await this.detector.switchManager(selected.managerName);
+                if (!switched) {
+                    vscode.window.showErrorMessage(`${selected.managerName} is no longer available`);
+                    return;
+                }
+                await this.detector.setSelectedManagerName(selected.managerName);
+                manager = this.detector.getActiveManager();
+            } else {
+                await this.detector.setSelectedManagerName(undefined);
+                manager = await this.detector.detectAll();
+            }
+
+            if (this.onManagerChanged) {
+                this.nvmrcHandler = await this.onManagerChanged(manager);
+            }
+
+            await this.statusBarManager.update();
+
+            if (manager) {
+                vscode.window.showInformationMessage(`Using ${manager.getDisplayName()} to manage Node versions`);
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to switch version manager: ${error.message}`);
+        }
+    }
 }
 
 module.exports = Commands;
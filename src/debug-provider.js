@@ -0,0 +1,109 @@
+const path = require('path');
+const vscode = require('vscode');
+const VersionFileRegistry = require('./version-file-registry');
+const VersionSpec = require('./utils/version-spec');
+const NodeRuntime = require('./utils/node-runtime');
+
+/**
+ * Debug configuration provider for node/pwa-node launch configurations
+ * Points runtimeExecutable at the project's Node version, or the version given by the nodeVersion attribute
+ */
+class NodeDebugConfigurationProvider {
+    constructor(detector, registry = VersionFileRegistry.createDefault()) {
+        this.detector = detector;
+        this.registry = registry;
+    }
+
+    /**
+     * Register the provider for both debugger types
+     */
+    register(context) {
+        for (const type of ['node', 'pwa-node']) {
+            context.subscriptions.push(
+                vscode.debug.registerDebugConfigurationProvider(type, this)
+            );
+        }
+    }
+
+    /**
+     * Resolve the configuration after ${...} variables are substituted, so program and cwd are real paths
+     * Returning undefined aborts the debug session
+     */
+    async resolveDebugConfigurationWithSubstitutedVariables(folder, config) {
+        if (config.request !== 'launch') {
+            return config;
+        }
+
+        // A custom runtime (e.g. yarn, ts-node, an absolute path) is left alone unless nodeVersion asks for a version
+        const runtime = config.runtimeExecutable || 'node';
+        const tool = ['node', 'npm', 'npx'].includes(runtime) ? runtime : null;
+        if (!tool && !config.nodeVersion) {
+            return config;
+        }
+
+        const manager = this.detector.getActiveManager();
+        if (!manager) {
+            return config;
+        }
+
+        try {
+            const folderPath = folder ? folder.uri.fsPath : null;
+            const { spec, source } = await this.getVersionSpec(config, folderPath, manager);
+            if (!spec) {
+                return config;
+            }
+
+            const version = await NodeRuntime.ensureInstalled(manager, spec, source);
+            if (!version) {
+                // Installation declined, don't start the session with the wrong version
+                return undefined;
+            }
+
+            const binDir = manager.getBinDir(version);
+            const toolPath = manager.getToolPath(version, tool || 'node');
+            if (!binDir || !toolPath) {
+                vscode.window.showWarningMessage(
+                    `Could not find the installation of Node ${version}, debugging with the default runtime`
+                );
+                return config;
+            }
+
+            config.runtimeExecutable = toolPath;
+            // Child processes (npm scripts, spawned node) resolve node from PATH
+            config.env = NodeRuntime.prependPath(config.env, binDir);
+            return config;
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to resolve Node version for debugging: ${error.message}`);
+            return config;
+        }
+    }
+
+    /**
+     * Get the version spec for a launch configuration
+     * nodeVersion wins, then the version file closest to the program, then the manager's current version
+     */
+    async getVersionSpec(config, folderPath, manager) {
+        if (config.nodeVersion) {
+            return { spec: String(config.nodeVersion), source: 'launch.json nodeVersion' };
+        }
+
+        let startDir = folderPath;
+        if (config.program && path.isAbsolute(config.program)) {
+            startDir = path.dirname(config.program);
+        } else if (config.cwd && path.isAbsolute(config.cwd)) {
+            startDir = config.cwd;
+        }
+
+        if (startDir) {
+            const found = this.registry.find(startDir, manager);
+            if (found && VersionSpec.isSupported(found.version)) {
+                return { spec: found.version, source: found.source };
+            }
+        }
+
+        const current = await manager.getCurrentVersion(folderPath);
+        return { spec: current, source: manager.getDisplayName() };
+    }
+}
+
+module.exports = NodeDebugConfigurationProvider;
@@ -1,8 +1,6 @@
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
-const { promisify } = require('util');
-const { exec } = require('child_process');
 const vscode = require('vscode');
 const MiseManager = require('./managers/mise-manager');
 const NvmManager = require('./managers/nvm-manager');
@@ -10,17 +8,24 @@ const NvmWindowsManager = require('./managers/nvm-windows-manager');
 const VoltaManager = require('./managers/volta-manager');
 const FnmManager = require('./managers/fnm-manager');
 const PnpmManager = require('./managers/pnpm-manager');
+const AsdfManager = require('./managers/asdf-manager');
+const NodenvManager = require('./managers/nodenv-manager');
+const NManager = require('./managers/n-manager');
+const ProtoManager = require('./managers/proto-manager');
+const CommandRunner = require('./utils/command-runner');
 
-const execPromise = promisify(exec);
+// workspaceState key for the manager picked with "Node: Select Version Manager"
+const SELECTED_MANAGER_KEY = 'fastNodeSwitcher.selectedManager';
 
 /**
  * Tool detector for finding and selecting version managers
- * Priority: nvm > fnm > volta > mise > pnpm
+ * Priority: nvm > fnm > volta > mise > proto > asdf > nodenv > n > pnpm
  */
 class ToolDetector {
-    constructor() {
+    constructor(workspaceState = null) {
         this.managers = [];
         this.activeManager = null;
+        this.workspaceState = workspaceState;
     }
 
     /**
@@ -39,6 +44,7 @@ class ToolDetector {
                 new FnmManager(),
                 new VoltaManager(),
                 new MiseManager(),
+                new ProtoManager(),
                 new PnpmManager()
             ];
         } else {
@@ -47,13 +53,29 @@ class ToolDetector {
                 new FnmManager(),
                 new VoltaManager(),
                 new MiseManager(),
+                new ProtoManager(),
+                new AsdfManager(),
+                new NodenvManager(),
+                new NManager(),
                 new PnpmManager()
             ];
         }
 
+        // A manager selected for this workspace takes precedence over the preferredTool setting
+        const selectedTool = this.getSelectedManagerName();
+        if (selectedTool) {
+            const selectedManager = this.managers.find(m => m.name === selectedTool);
+            if (selectedManager && await selectedManager.detect()) {
+                this.activeManager = selectedManager;
+                console.log(`Using workspace-selected tool: ${selectedManager.name}`);
+                return selectedManager;
+            }
+        }
+
         // If user has a preferred tool, try that first
         if (preferredTool !== 'auto') {
-            const preferredManager = this.managers.find(m => m.name === preferredTool || m.name.includes(preferredTool));
+            // Match exactly or by platform variant (e.g., 'nvm' -> 'nvm-windows'), so 'n' doesn't pick nvm
+            const preferredManager = this.managers.find(m => m.name === preferredTool || m.name.startsWith(`${preferredTool}-`));
             if (preferredManager) {
                 const detected = await preferredManager.detect();
                 if (detected) {
@@ -64,7 +86,7 @@ class ToolDetector {
             }
         }
 
-        // Auto-detect: try managers in priority order (nvm > fnm > volta > mise > pnpm)
+        // Auto-detect: try managers in priority order (nvm > fnm > volta > mise > proto > asdf > nodenv > n > pnpm)
         for (const manager of this.managers) {
             const detected = await manager.detect();
             if (detected) {
@@ -92,6 +114,36 @@ class ToolDetector {
         return this.managers.filter(m => m.isAvailable);
     }
 
+    /**
+     * Run detection for every manager so getAllManagers() reports all installed tools
+     * detectAll() stops at the first match, leaving lower-priority managers undetected
+     */
+    async detectAvailableManagers() {
+        for (const manager of this.managers) {
+            if (!manager.isAvailable) {
+                await manager.detect();
+            }
+        }
+        return this.getAllManagers();
+    }
+
+    /**
+     * Get the manager name selected for this workspace, if any
+     */
+    getSelectedManagerName() {
+        return this.workspaceState ? this.workspaceState.get(SELECTED_MANAGER_KEY) : undefined;
+    }
+
+    /**
+     * Remember the selected manager for this workspace
+     * Pass undefined to go back to automatic detection
+     */
+    async setSelectedManagerName(managerName) {
+        if (this.workspaceState) {
+            await this.workspaceState.update(SELECTED_MANAGER_KEY, managerName);
+        }
+    }
+
     /**
      * Switch to a different manager
      */
@@ -109,6 +161,11 @@ class ToolDetector {
      * Detect if official Node.js is installed (not managed by a version manager)
      */
     async detectOfficialNodejs() {
+        // n installs node directly into its prefix (default /usr/local), which overlaps official locations
+        if (this.activeManager && this.activeManager.name === 'n') {
+            return null;
+        }
+
         try {
             const platform = os.platform();
 
@@ -140,31 +197,31 @@ class ToolDetector {
             }
 
             // Also check if node is in PATH and get its location
-            try {
-                const { stdout } = await execPromise(platform === 'win32' ? 'where node' : 'which node');
-                const nodePath = stdout.trim().split('\n')[0];
-
+            const [nodePath] = await CommandRunner.findInPath('node');
+            if (nodePath) {
                 // Check if it's an official installation (not in version manager directories)
                 const isVersionManager =
                     nodePath.toLowerCase().includes('nvm') ||
                     nodePath.toLowerCase().includes('fnm') ||
                     nodePath.toLowerCase().includes('volta') ||
                     nodePath.toLowerCase().includes('mise') ||
+                    nodePath.toLowerCase().includes('asdf') ||
+                    nodePath.toLowerCase().includes('nodenv') ||
                     nodePath.toLowerCase().includes('pnpm') ||
                     nodePath.toLowerCase().includes('.nvm') ||
                     nodePath.toLowerCase().includes('.fnm') ||
                     nodePath.toLowerCase().includes('.volta') ||
                     nodePath.toLowerCase().includes('.mise') ||
+                    nodePath.toLowerCase().includes('.asdf') ||
+                    nodePath.toLowerCase().includes('.proto') ||
                     nodePath.toLowerCase().includes('\\pnpm\\') ||
                     nodePath.toLowerCase().includes('/pnpm/') ||
                     nodePath.toLowerCase().includes('appdata\\local\\pnpm') ||
                     nodePath.toLowerCase().includes('appdata/local/pnpm');
 
-                if (!isVersionManager && nodePath) {
+                if (!isVersionManager) {
                     return nodePath;
                 }
-            } catch (error) {
-                // Node not found in PATH
             }
 
             return null;
@@ -179,12 +236,13 @@ class ToolDetector {
      */
     async showOfficialNodejsWarning(nodePath) {
         const action = await vscode.window.showWarningMessage(
-            `Official Node.js detected at ${nodePath}. It's recommended to uninstall it and use a version manager (nvm/fnm/pnpm/volta/mise) for better Node.js version management.`,
+            `Official Node.js detected at ${nodePath}. It's recommended to uninstall it and use a version manager (nvm/fnm/pnpm/volta/mise/proto/asdf/nodenv/n) for better Node.js version management.`,
             'Install nvm',
             'Install fnm',
             'Install pnpm',
             'Install Volta',
             'Install mise',
+            'Install asdf',
             'Dismiss'
         );
 
@@ -203,6 +261,8 @@ class ToolDetector {
             vscode.env.openExternal(vscode.Uri.parse('https://volta.sh/'));
         } else if (action === 'Install mise') {
             vscode.env.openExternal(vscode.Uri.parse('https://mise.jdx.dev/getting-started.html'));
+        } else if (action === 'Install asdf') {
+            vscode.env.openExternal(vscode.Uri.parse('https://asdf-vm.com/guide/getting-started.html'));
         }
     }
 
@@ -211,12 +271,13 @@ class ToolDetector {
      */
     async showNoManagerError() {
         const action = await vscode.window.showErrorMessage(
-            'No version manager (nvm/fnm/pnpm/volta/mise) detected. Please install one.',
+            'No version manager (nvm/fnm/pnpm/volta/mise/proto/asdf/nodenv/n) detected. Please install one.',
             'Install nvm',
             'Install fnm',
             'Install pnpm',
             'Install Volta',
             'Install mise',
+            'Install asdf',
             'Open Settings'
         );
 
@@ -235,6 +296,8 @@ class ToolDetector {
             vscode.env.openExternal(vscode.Uri.parse('https://volta.sh/'));
         } else if (action === 'Install mise') {
             vscode.env.openExternal(vscode.Uri.parse('https://mise.jdx.dev/getting-started.html'));
+        } else if (action === 'Install asdf') {
+            vscode.env.openExternal(vscode.Uri.parse('https://asdf-vm.com/guide/getting-started.html'));
         } else if (action === 'Open Settings') {
             vscode.commands.executeCommand('workbench.action.openSettings', 'fastNodeSwitcher');
         }
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const vscode = require('vscode');
+const BaseVersionManager = require('./base-manager');
+const CommandRunner = require('../utils/command-runner');
+const NodeReleases = require('../utils/node-releases');
+const VersionSpec = require('../utils/version-spec');
+const WorkspaceHelper = require('../utils/workspace-helper');
+
+/**
+ * asdf version manager implementation
+ * https://asdf-vm.com/
+ */
+class AsdfManager extends BaseVersionManager {
+    constructor() {
+        super();
+        this.name = 'asdf';
+        this.asdfDataDir = process.env.ASDF_DATA_DIR || path.join(os.homedir(), '.asdf');
+    }
+
+    /**
+     * Get common asdf installation paths
+     */
+    getAsdfPaths() {
+        const homeDir = os.homedir();
+
+        return [
+            path.join(this.asdfDataDir, 'bin', 'asdf'),
+            path.join(homeDir, '.asdf', 'bin', 'asdf'),
+            path.join(homeDir, '.local', 'bin', 'asdf'),
+            '/usr/local/bin/asdf',
+            '/usr/bin/asdf',
+            '/opt/homebrew/bin/asdf',
+            '/home/linuxbrew/.linuxbrew/bin/asdf'
+        ];
+    }
+
+    /**
+     * Detect if asdf is installed
+     */
+    async detect() {
+        // asdf does not support Windows
+        if (os.platform() === 'win32') {
+            this.isAvailable = false;
+            return false;
+        }
+
+        // Check if user has configured a custom path
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        const customPath = config.get('asdfPath');
+
+        if (customPath && fs.existsSync(customPath)) {
+            this.command = customPath;
+            this.isAvailable = true;
+            return true;
+        }
+
+        // Try common paths
+        const paths = this.getAsdfPaths();
+        for (const asdfPath of paths) {
+            if (fs.existsSync(asdfPath)) {
+                this.command = asdfPath;
+                this.isAvailable = true;
+                return true;
+            }
+        }
+
+        // Try to find in PATH
+        const [foundPath] = await CommandRunner.findInPath('asdf');
+        if (foundPath) {
+            this.command = foundPath;
+            this.isAvailable = true;
+            return true;
+        }
+
+        this.isAvailable = false;
+        return false;
+    }
+
+    /**
+     * Get the path of the global .tool-versions file
+     */
+    getGlobalToolVersionsPath() {
+        return process.env.ASDF_DEFAULT_TOOL_VERSIONS_FILENAME
+            ? path.join(os.homedir(), process.env.ASDF_DEFAULT_TOOL_VERSIONS_FILENAME)
+            : path.join(os.homedir(), '.tool-versions');
+    }
+
+    /**
+     * Write the nodejs entry of a .tool-versions file, keeping other tools intact
+     */
+    writeToolVersions(toolVersionsPath, version) {
+        let lines = [];
+        if (fs.existsSync(toolVersionsPath)) {
+            lines = fs.readFileSync(toolVersionsPath, 'utf8').split(/\r?\n/);
+            // Drop the trailing empty line so we don't accumulate blank lines
+            if (lines.length > 0 && lines[lines.length - 1] === '') {
+                lines.pop();
+            }
+        }
+
+        const entry = `nodejs ${version}`;
+        const index = lines.findIndex(line => /^nodejs\s/.test(line.trim()));
+        if (index >= 0) {
+            lines[index] = entry;
+        } else {
+            lines.push(entry);
+        }
+
+        fs.writeFileSync(toolVersionsPath, `${lines.join('\n')}\n`);
+    }
+
+    /**
+     * Get list of installed Node versions
+     */
+    async getInstalledVersions() {
+        try {
+            const options = this.getWorkspaceOptions();
+            const { stdout } = await CommandRunner.run(this.command, ['list', 'nodejs'], options);
+
+            // Parse output format:
+            //   18.19.0
+            //  *20.10.0
+            const versions = stdout
+                .split('\n')
+                .map(line => line.trim().replace(/^\*\s*/, ''))
+                .filter(v => v && /^\d+\.\d+\.\d+/.test(v));
+
+            // Remove duplicates and return unique versions
+            return [...new Set(versions)];
+        } catch (error) {
+            console.error('Failed to get installed versions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the currently active Node version
+     */
+    async getCurrentVersion(folderPath = null) {
+        try {
+            const options = this.getWorkspaceOptions(folderPath);
+            const { stdout } = await CommandRunner.run(this.command, ['current', 'nodejs'], options);
+
+            // Parse output format (asdf < 0.16 and >= 0.16):
+            // nodejs          20.10.0         /home/user/.tool-versions
+            // or
+            // Name            Version         Source                   Installed
+            // nodejs          20.10.0         /home/user/.tool-versions true
+            const match = stdout.match(/^nodejs\s+v?(\d+\.\d+\.\d+)/m);
+            return match ? match[1] : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Set/switch to a specific Node version
+     * Global scope writes ~/.tool-versions, local scope writes the workspace .tool-versions
+     */
+    async setVersion(version, scope = 'global', folderPath = null) {
+        try {
+            // Validate and remove 'v' prefix if present
+            let cleanVersion = VersionSpec.clean(version);
+            const installedVersions = await this.getInstalledVersions();
+
+            // .tool-versions needs an exact version, asdf doesn't resolve partial ones like "20"
+            if (!VersionSpec.toParts(cleanVersion)) {
+                let resolved = VersionSpec.resolve(cleanVersion, installedVersions);
+                // asdf latest only takes numeric prefixes, aliases like lts/iron and ranges are resolved from the release index
+                if (!resolved && !/^\d+(\.\d+)?$/.test(cleanVersion)) {
+                    resolved = VersionSpec.resolve(cleanVersion, installedVersions, await NodeReleases.getReleases(this));
+                    if (!resolved) {
+                        throw new Error(`No Node release matches ${cleanVersion}`);
+                    }
+                }
+                cleanVersion = resolved ? resolved.version : await this.getLatestVersion(cleanVersion);
+            }
+
+            // First, ensure the version is installed
+            if (!installedVersions.includes(cleanVersion)) {
+                await this.installVersion(cleanVersion);
+            }
+
+            let toolVersionsPath;
+            if (scope === 'local') {
+                toolVersionsPath = path.join(WorkspaceHelper.getLocalFolderPath(folderPath), '.tool-versions');
+            } else {
+                toolVersionsPath = this.getGlobalToolVersionsPath();
+            }
+
+            this.writeToolVersions(toolVersionsPath, cleanVersion);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to set node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve a partial version to the newest matching release with `asdf latest nodejs <prefix>`
+     * @param {string} prefix - Partial version (e.g., '20' or '20.10')
+     * @returns {Promise<string>} Exact version (e.g., '20.19.5')
+     */
+    async getLatestVersion(prefix) {
+        const { stdout } = await CommandRunner.run(this.command, ['latest', 'nodejs', prefix], this.withMirror());
+        const match = stdout.trim().match(/^v?(\d+\.\d+\.\d+)$/m);
+        if (!match) {
+            throw new Error(`No Node release matches ${prefix}`);
+        }
+        return match[1];
+    }
+
+    /**
+     * Install a specific Node version
+     * Partial versions (e.g., 20 or 20.10) are resolved with asdf's latest:<prefix> syntax
+     */
+    async installVersion(version, installOptions = {}) {
+        try {
+            // Validate and remove 'v' prefix if present
+            let cleanVersion = VersionSpec.clean(version);
+            if (/^\d+(\.\d+)?$/.test(cleanVersion)) {
+                cleanVersion = `latest:${cleanVersion}`;
+            }
+            const options = this.getWorkspaceOptions();
+            await this.runInstallCommand(this.command, ['install', 'nodejs', cleanVersion], options, installOptions);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to install node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uninstall a specific Node version
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await CommandRunner.run(this.command, ['uninstall', 'nodejs', cleanVersion], this.getWorkspaceOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get list of available Node versions that can be installed
+     */
+    async getAvailableVersions() {
+        try {
+            const { stdout } = await CommandRunner.run(this.command, ['list', 'all', 'nodejs'], this.withMirror());
+
+            // asdf lists versions in ascending order, return latest 20 versions
+            const versions = stdout
+                .split('\n')
+                .map(line => line.trim())
+                .filter(v => v && /^\d+\.\d+\.\d+$/.test(v))
+                .reverse()
+                .slice(0, 20);
+
+            return versions;
+        } catch (error) {
+            console.error('Failed to get available versions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * The asdf-nodejs plugin reads the mirror from NODEJS_ORG_MIRROR
+     */
+    getMirrorEnv(mirror) {
+        return { NODEJS_ORG_MIRROR: mirror };
+    }
+
+    /**
+     * Get the directories an installed version may live in
+     */
+    getInstallDirs(version) {
+        return [path.join(this.asdfDataDir, 'installs', 'nodejs', version)];
+    }
+
+    /**
+     * Check if scope is supported
+     */
+    supportsScope() {
+        return true;
+    }
+
+    /**
+     * Get configuration file name
+     */
+    getConfigFileName() {
+        return '.tool-versions';
+    }
+
+    /**
+     * Get the project version files this manager understands
+     * asdf-nodejs reads .nvmrc and .node-version as legacy version files
+     */
+    getVersionFiles() {
+        return ['tool-versions', 'nvmrc', 'node-version', 'engines'];
+    }
+
+    /**
+     * Get display name
+     */
+    getDisplayName() {
+        return 'asdf';
+    }
+}
+
+module.exports = AsdfManager;
@@ -1,3 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const CommandRunner = require('../utils/command-runner');
+const NodeMirror = require('../utils/node-mirror');
+const VersionSpec = require('../utils/version-spec');
+const VersionFileRegistry = require('../version-file-registry');
+const WorkspaceHelper = require('../utils/workspace-helper');
+
+// Alias names accepted by the managers: work, my-app_18, lts/*, lts/iron
+const ALIAS_NAME_PATTERN = /^[A-Za-z0-9_][\w.\-/*]*$/;
+
 /**
  * Base class for Node version managers
  * All version managers (mise, nvm, nvm-windows) must implement this interface
@@ -5,7 +17,7 @@
 class BaseVersionManager {
     constructor() {
         this.name = 'base';           // Tool name (e.g., 'mise', 'nvm', 'nvm-windows')
-        this.command = null;          // Command path
+        this.command = null;          // Executable path, run through CommandRunner with argument arrays
         this.isAvailable = false;     // Whether the tool is available
     }
 
@@ -27,9 +39,10 @@ class BaseVersionManager {
 
     /**
      * Get the currently active Node version
+     * @param {string|null} folderPath - Workspace folder to resolve the version for, defaults to the active folder
      * @returns {Promise<string|null>} Current version string or null if none set
      */
-    async getCurrentVersion() {
+    async getCurrentVersion(folderPath = null) {
         throw new Error('getCurrentVersion() must be implemented by subclass');
     }
 
@@ -37,21 +50,170 @@ class BaseVersionManager {
      * Set/switch to a specific Node version
      * @param {string} version - Version to switch to (e.g., '20.10.0')
      * @param {string} scope - 'global' or 'local'
+     * @param {string|null} folderPath - Workspace folder for local scope, defaults to the active folder
      * @returns {Promise<boolean>} True if successful
      */
-    async setVersion(version, scope = 'global') {
+    async setVersion(version, scope = 'global', folderPath = null) {
         throw new Error('setVersion() must be implemented by subclass');
     }
 
     /**
      * Install a specific Node version
      * @param {string} version - Version to install (e.g., '20.10.0')
+     * @param {object} options - Optional onOutput(text) to stream the manager's output and a cancellation token
      * @returns {Promise<boolean>} True if successful
      */
-    async installVersion(version) {
+    async installVersion(version, options = {}) {
         throw new Error('installVersion() must be implemented by subclass');
     }
 
+    /**
+     * Uninstall a specific Node version
+     * @param {string} version - Installed version (e.g., '20.10.0')
+     * @returns {Promise<boolean>} True if successful
+     */
+    async uninstallVersion(version) {
+        throw new Error('uninstallVersion() must be implemented by subclass');
+    }
+
+    /**
+     * Get the version the manager's default alias points to
+     * Managers without a separate default (the global version is the default) return null
+     * @returns {Promise<string|null>} Version without 'v' prefix, or null
+     */
+    async getDefaultVersion() {
+        return null;
+    }
+
+    /**
+     * Make a version the default for new shells
+     * Managers without a separate default alias switch the global version
+     * @param {string} version - Installed version (e.g., '20.10.0')
+     * @returns {Promise<boolean>} True if successful
+     */
+    async setDefaultVersion(version) {
+        return await this.setVersion(version, 'global');
+    }
+
+    /**
+     * Check if this manager has named aliases (e.g., 'default', 'work', 'lts/*')
+     * @returns {boolean} True if getAliases, setAlias and deleteAlias are implemented
+     */
+    supportsAliases() {
+        return false;
+    }
+
+    /**
+     * Get the manager's aliases
+     * LTS codename aliases are only listed when they point to an installed version
+     * @returns {Promise<Array<{name: string, target: string, version: string|null}>>}
+     *   target is what the alias was set to (e.g., '20', 'lts/iron'),
+     *   version the installed version it resolves to, or null if none
+     */
+    async getAliases() {
+        return [];
+    }
+
+    /**
+     * Create an alias or point an existing one at another version
+     * @param {string} name - Alias name (e.g., 'work')
+     * @param {string} version - Installed version (e.g., '20.10.0')
+     * @returns {Promise<boolean>} True if successful
+     */
+    async setAlias(name, version) {
+        throw new Error(`${this.getDisplayName()} does not support aliases`);
+    }
+
+    /**
+     * Delete an alias
+     * @param {string} name - Alias name
+     * @returns {Promise<boolean>} True if successful
+     */
+    async deleteAlias(name) {
+        throw new Error(`${this.getDisplayName()} does not support aliases`);
+    }
+
+    /**
+     * Get the installed version an alias resolves to
+     * @param {string} name - Alias name
+     * @returns {Promise<string|null>} Version without 'v' prefix, or null if unknown or not installed
+     */
+    async resolveAlias(name) {
+        const alias = (await this.getAliases()).find(a => a.name === name);
+        return alias ? alias.version : null;
+    }
+
+    /**
+     * Validate an alias name before handing it to the manager CLI
+     * @returns {string} Trimmed alias name
+     * @throws {Error} If the name could be mistaken for an option or contains whitespace
+     */
+    cleanAliasName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!ALIAS_NAME_PATTERN.test(trimmed)) {
+            throw new Error(`Invalid alias name: ${JSON.stringify(name)}`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Check if an alias should be listed
+     * Managers ship an alias for every LTS line, only the ones that point to an installed version are useful
+     */
+    isListedAlias(alias) {
+        const parsed = VersionSpec.parse(alias.name);
+        return Boolean(alias.version) || !parsed || parsed.type !== 'lts' || !parsed.codename;
+    }
+
+    /**
+     * Check if the manager can copy global npm packages from one version to another itself
+     * Other managers go through GlobalPackages, which reinstalls them with the target's npm
+     * @returns {boolean} True if reinstallPackages is implemented
+     */
+    supportsReinstallPackages() {
+        return false;
+    }
+
+    /**
+     * Reinstall every global npm package of one installed version into another
+     * @param {string} fromVersion - Version to copy the packages from (e.g., '18.19.0')
+     * @param {string} toVersion - Installed version to copy them into (e.g., '22.1.0')
+     * @param {object} installOptions - onOutput and token, as for installVersion
+     * @returns {Promise<boolean>} True if successful
+     */
+    async reinstallPackages(fromVersion, toVersion, installOptions = {}) {
+        throw new Error(`${this.getDisplayName()} can't reinstall global packages`);
+    }
+
+    /**
+     * Run the manager's install command
+     * Output is streamed and the command can be cancelled when installVersion was given options for it
+     * @param {string} file - Executable to run
+     * @param {string[]} args - Install arguments
+     * @param {object} execOptions - Process options (cwd, env, ...)
+     * @param {object} installOptions - onOutput and token passed to installVersion
+     */
+    async runInstallCommand(file, args, execOptions = {}, installOptions = {}) {
+        const { onOutput, token } = installOptions;
+        const options = this.withMirror(execOptions);
+        if (!onOutput && !token) {
+            return await CommandRunner.run(file, args, options);
+        }
+
+        const { code, signal, cancelled, stderr } = await CommandRunner.spawn(file, args, {
+            ...options,
+            onOutput,
+            token
+        });
+        if (cancelled) {
+            throw new Error('Installation cancelled');
+        }
+        if (code !== 0) {
+            const lastLine = stderr.trim().split(/\r?\n/).pop();
+            throw new Error(lastLine || `${path.basename(file)} exited with ${signal || `code ${code}`}`);
+        }
+    }
+
     /**
      * Get list of available Node versions that can be installed
      * @returns {Promise<string[]>} Array of version strings
@@ -76,6 +238,186 @@ class BaseVersionManager {
         return null;
     }
 
+    /**
+     * Get workspace options for command execution
+     * @param {string|null} folderPath - Workspace folder to run in, defaults to the active folder
+     * @returns {{cwd?: string}} Options for CommandRunner
+     */
+    getWorkspaceOptions(folderPath = null) {
+        const options = {};
+        const cwd = folderPath || WorkspaceHelper.getActiveFolderPath();
+        if (cwd) {
+            options.cwd = cwd;
+        }
+        return options;
+    }
+
+    /**
+     * Resolve the installed version a folder's version file asks for
+     * For managers whose CLI only knows the global version (nvm, n, nvm-windows), the version file is what
+     * makes a folder use a different version
+     * @param {string|null} folderPath - Workspace folder, defaults to the active folder
+     * @returns {Promise<string|null>} Installed version, or null if there is no usable version file
+     */
+    async getFolderVersion(folderPath = null) {
+        const folder = folderPath || WorkspaceHelper.getActiveFolderPath();
+        if (!folder) {
+            return null;
+        }
+
+        const found = VersionFileRegistry.createDefault().find(folder, this);
+        if (!found || !VersionSpec.isSupported(found.version)) {
+            return null;
+        }
+        const resolved = VersionSpec.resolve(found.version, await this.getInstalledVersions());
+        return resolved ? resolved.version : null;
+    }
+
+    /**
+     * Get the environment variables that point this manager at a download mirror
+     * @param {string} mirror - Mirror base URL (e.g., 'https://unofficial-builds.nodejs.org/download/release')
+     * @param {string|null} flavor - Unofficial build flavour ('musl', 'glibc-217') or null
+     * @returns {object} Variables to add, empty if the manager has no mirror setting
+     */
+    getMirrorEnv(mirror, flavor) {
+        return {};
+    }
+
+    /**
+     * Check if the manager can install a build flavour
+     * Managers that only take a mirror URL request the standard tarballs, which unofficial-builds doesn't publish
+     * @param {string} flavor - 'musl' or 'glibc-217'
+     * @returns {boolean} True if getMirrorEnv or installVersion apply the flavour
+     */
+    supportsFlavor(flavor) {
+        return false;
+    }
+
+    /**
+     * Get the configured build flavour if this manager can install it
+     * Other managers keep the standard builds and their mirror, whatever nodeFlavor is set to
+     * @returns {string|null} 'musl', 'glibc-217' or null
+     */
+    getFlavor() {
+        const flavor = NodeMirror.getFlavor();
+        return flavor && this.supportsFlavor(flavor) ? flavor : null;
+    }
+
+    /**
+     * Add the configured mirror to process options
+     * Used for installs and remote listings; options are returned unchanged when no mirror is configured
+     * @param {object} options - Process options (cwd, env, ...)
+     */
+    withMirror(options = {}) {
+        const flavor = this.getFlavor();
+        const mirror = NodeMirror.getMirror(flavor);
+        const mirrorEnv = mirror ? this.getMirrorEnv(mirror, flavor) : {};
+        if (Object.keys(mirrorEnv).length === 0) {
+            return options;
+        }
+        return {
+            ...options,
+            env: { ...process.env, ...options.env, ...mirrorEnv }
+        };
+    }
+
+    /**
+     * Get the directories an installed version may live in, most likely first
+     * @param {string} version - Installed version without 'v' prefix (e.g., '20.10.0')
+     * @returns {string[]} Candidate installation directories
+     */
+    getInstallDirs(version) {
+        return [];
+    }
+
+    /**
+     * Get everything an install of a version may leave behind: installation directories, downloads and caches
+     * Used to clean up after a cancelled install; entries that don't exist are ignored
+     * @param {string} version - Version without 'v' prefix (e.g., '20.10.0')
+     * @returns {string[]} File and directory paths
+     */
+    getInstallArtifacts(version) {
+        return this.getInstallDirs(version);
+    }
+
+    /**
+     * List the entries of a directory whose name starts with a prefix
+     * @returns {string[]} Full paths, empty if the directory doesn't exist
+     */
+    findEntries(dir, prefix) {
+        try {
+            return fs.readdirSync(dir)
+                .filter(name => name.startsWith(prefix))
+                .map(name => path.join(dir, name));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Get the directory containing the node executable of an installed version
+     * Node distributions keep it in bin/ on Linux/macOS and in the installation root on Windows
+     * @param {string} version - Installed version (e.g., '20.10.0')
+     * @returns {string|null} Directory to put on PATH, or null if the version isn't installed
+     */
+    getBinDir(version) {
+        const cleanVersion = String(version).replace(/^v/, '');
+        for (const installDir of this.getInstallDirs(cleanVersion)) {
+            const binDir = os.platform() === 'win32' ? installDir : path.join(installDir, 'bin');
+            if (fs.existsSync(binDir)) {
+                return binDir;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the absolute path of a Node distribution binary (node, npm, npx) for an installed version
+     * @param {string} version - Installed version (e.g., '20.10.0')
+     * @param {string} tool - Binary name: 'node', 'npm' or 'npx'
+     * @returns {string|null} Binary path, or null if not found
+     */
+    getToolPath(version, tool) {
+        const binDir = this.getBinDir(version);
+        if (!binDir) {
+            return null;
+        }
+
+        // npm and npx are batch wrappers on Windows
+        let fileName = tool;
+        if (os.platform() === 'win32') {
+            fileName = tool === 'node' ? 'node.exe' : `${tool}.cmd`;
+        }
+
+        const toolPath = path.join(binDir, fileName);
+        return fs.existsSync(toolPath) ? toolPath : null;
+    }
+
+    /**
+     * Get the absolute path of the node executable for an installed version
+     * @param {string} version - Installed version (e.g., '20.10.0')
+     * @returns {string|null} Executable path, or null if not found
+     */
+    getNodePath(version) {
+        return this.getToolPath(version, 'node');
+    }
+
+    /**
+     * Get the project version files this manager understands
+     * @returns {string[]} Reader ids from VersionFileRegistry (e.g., ['nvmrc', 'engines'])
+     */
+    getVersionFiles() {
+        return ['nvmrc', 'engines'];
+    }
+
+    /**
+     * Get the resolved path of the manager's executable
+     * @returns {string|null} Executable path, or null if not detected
+     */
+    getBinaryPath() {
+        return this.command || null;
+    }
+
     /**
      * Get the display name for this manager
      * @returns {string} Display name
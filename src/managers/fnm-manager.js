@@ -1,12 +1,12 @@
-const { exec } = require('child_process');
-const util = require('util');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const vscode = require('vscode');
 const BaseVersionManager = require('./base-manager');
-
-const execPromise = util.promisify(exec);
+const CommandRunner = require('../utils/command-runner');
+const NodeMirror = require('../utils/node-mirror');
+const VersionSpec = require('../utils/version-spec');
+const WorkspaceHelper = require('../utils/workspace-helper');
 
 /**
  * fnm (Fast Node Manager) version manager implementation
@@ -59,7 +59,7 @@ class FnmManager extends BaseVersionManager {
         const customPath = config.get('fnmPath');
 
         if (customPath && fs.existsSync(customPath)) {
-            this.command = `"${customPath}"`;
+            this.command = customPath;
             this.isAvailable = true;
             return true;
         }
@@ -68,43 +68,24 @@ class FnmManager extends BaseVersionManager {
         const paths = this.getFnmPaths();
         for (const fnmPath of paths) {
             if (fs.existsSync(fnmPath)) {
-                this.command = `"${fnmPath}"`;
+                this.command = fnmPath;
                 this.isAvailable = true;
                 return true;
             }
         }
 
         // Try to find in PATH
-        try {
-            const platform = os.platform();
-            const command = platform === 'win32' ? 'where fnm' : 'which fnm';
-            const { stdout } = await execPromise(command);
-            const foundPath = stdout.trim().split('\n')[0];
-            if (foundPath) {
-                this.command = `"${foundPath}"`;
-                this.isAvailable = true;
-                return true;
-            }
-        } catch (error) {
-            // Not in PATH
+        const [foundPath] = await CommandRunner.findInPath('fnm');
+        if (foundPath) {
+            this.command = foundPath;
+            this.isAvailable = true;
+            return true;
         }
 
         this.isAvailable = false;
         return false;
     }
 
-    /**
-     * Get workspace options for command execution
-     */
-    getWorkspaceOptions() {
-        const options = {};
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (workspaceFolders && workspaceFolders.length > 0) {
-            options.cwd = workspaceFolders[0].uri.fsPath;
-        }
-        return options;
-    }
-
     /**
      * Get fnm directory path
      */
@@ -137,7 +118,7 @@ class FnmManager extends BaseVersionManager {
     async getInstalledVersions() {
         try {
             const options = this.getWorkspaceOptions();
-            const { stdout } = await execPromise(`${this.command} list`, options);
+            const { stdout } = await CommandRunner.run(this.command, ['list'], options);
 
             // Parse output format:
             // * v20.10.0
@@ -171,12 +152,12 @@ class FnmManager extends BaseVersionManager {
     /**
      * Get the currently active Node version
      */
-    async getCurrentVersion() {
+    async getCurrentVersion(folderPath = null) {
         try {
             // First, try to get version from fnm current command
-            const options = this.getWorkspaceOptions();
+            const options = this.getWorkspaceOptions(folderPath);
             try {
-                const { stdout } = await execPromise(`${this.command} current`, options);
+                const { stdout } = await CommandRunner.run(this.command, ['current'], options);
                 const version = stdout.trim().replace(/^v/, '');
                 if (version && /^\d+\.\d+\.\d+/.test(version)) {
                     return version;
@@ -186,9 +167,8 @@ class FnmManager extends BaseVersionManager {
             }
 
             // Try to read from .node-version file in workspace
-            const workspaceFolders = vscode.workspace.workspaceFolders;
-            if (workspaceFolders && workspaceFolders.length > 0) {
-                const nodeVersionPath = path.join(workspaceFolders[0].uri.fsPath, '.node-version');
+            if (options.cwd) {
+                const nodeVersionPath = path.join(options.cwd, '.node-version');
                 if (fs.existsSync(nodeVersionPath)) {
                     const version = fs.readFileSync(nodeVersionPath, 'utf8').trim().replace(/^v/, '');
                     if (version && /^\d+\.\d+\.\d+/.test(version)) {
@@ -218,10 +198,10 @@ class FnmManager extends BaseVersionManager {
      * Set/switch to a specific Node version
      * fnm only supports local scope - creates .node-version file
      */
-    async setVersion(version, scope = 'local') {
+    async setVersion(version, scope = 'local', folderPath = null) {
         try {
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
 
             // First, ensure the version is installed
             const installedVersions = await this.getInstalledVersions();
@@ -231,13 +211,13 @@ class FnmManager extends BaseVersionManager {
             }
 
             // Always use local scope for fnm - create .node-version file
-            const workspaceFolders = vscode.workspace.workspaceFolders;
-            if (!workspaceFolders || workspaceFolders.length === 0) {
+            const folder = folderPath || WorkspaceHelper.getActiveFolderPath();
+            if (!folder) {
                 throw new Error('No workspace folder open. fnm requires a workspace folder to create .node-version file.');
             }
 
             // Create .node-version file in workspace root
-            const nodeVersionPath = path.join(workspaceFolders[0].uri.fsPath, '.node-version');
+            const nodeVersionPath = path.join(folder, '.node-version');
             fs.writeFileSync(nodeVersionPath, cleanVersion);
 
             // Don't show the default message, let commands.js handle it
@@ -251,25 +231,121 @@ class FnmManager extends BaseVersionManager {
     /**
      * Install a specific Node version
      */
-    async installVersion(version) {
+    async installVersion(version, installOptions = {}) {
         try {
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
             const options = this.getWorkspaceOptions();
-            await execPromise(`${this.command} install ${cleanVersion}`, options);
+            await this.runInstallCommand(this.command, ['install', cleanVersion], options, installOptions);
             return true;
         } catch (error) {
             throw new Error(`Failed to install node version: ${error.message}`);
         }
     }
 
+    /**
+     * Get the version the default alias points to
+     */
+    async getDefaultVersion() {
+        return await this.resolveAlias('default');
+    }
+
+    /**
+     * Point the default alias at a version
+     * setVersion only writes .node-version, the default is what new shells use outside a project
+     */
+    async setDefaultVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await CommandRunner.run(this.command, ['default', cleanVersion], this.getWorkspaceOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to set default version: ${error.message}`);
+        }
+    }
+
+    /**
+     * fnm keeps aliases as links in its aliases directory
+     */
+    supportsAliases() {
+        return true;
+    }
+
+    /**
+     * Get aliases from `fnm list`, which prints them after the version they point to
+     * e.g. "* v18.19.0 default, work"
+     */
+    async getAliases() {
+        try {
+            const { stdout } = await CommandRunner.run(this.command, ['list'], this.getWorkspaceOptions());
+            const aliases = [];
+            for (const line of stdout.split('\n')) {
+                const match = line.trim().match(/^\*?\s*v?(\d+\.\d+\.\d+)\s+(.+)$/);
+                if (!match) {
+                    continue;
+                }
+                for (const name of match[2].split(',').map(n => n.trim()).filter(n => n)) {
+                    aliases.push({ name, target: match[1], version: match[1] });
+                }
+            }
+            return aliases;
+        } catch (error) {
+            console.error('Failed to get fnm aliases:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Create or update an alias
+     * The default alias has its own command
+     */
+    async setAlias(name, version) {
+        try {
+            const aliasName = this.cleanAliasName(name);
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            const args = aliasName === 'default' ? ['default', cleanVersion] : ['alias', cleanVersion, aliasName];
+            await CommandRunner.run(this.command, args, this.getWorkspaceOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to set alias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an alias
+     */
+    async deleteAlias(name) {
+        try {
+            await CommandRunner.run(this.command, ['unalias', this.cleanAliasName(name)], this.getWorkspaceOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to delete alias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uninstall a specific Node version
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await CommandRunner.run(this.command, ['uninstall', cleanVersion], this.getWorkspaceOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
     /**
      * Get list of available Node versions that can be installed
      */
     async getAvailableVersions() {
         try {
             const options = this.getWorkspaceOptions();
-            const { stdout } = await execPromise(`${this.command} list-remote --latest`, options);
+            const { stdout } = await CommandRunner.run(this.command, ['list-remote', '--latest'], this.withMirror(options));
 
             // Parse output format:
             // v20.10.0
@@ -292,6 +368,40 @@ class FnmManager extends BaseVersionManager {
         }
     }
 
+    /**
+     * fnm only has an architecture for musl builds, not for glibc-217
+     */
+    supportsFlavor(flavor) {
+        return flavor === 'musl';
+    }
+
+    /**
+     * fnm reads the mirror from FNM_NODE_DIST_MIRROR; musl builds are a separate architecture
+     */
+    getMirrorEnv(mirror, flavor) {
+        const env = { FNM_NODE_DIST_MIRROR: mirror };
+        if (flavor === 'musl') {
+            env.FNM_ARCH = `${NodeMirror.getArch()}-musl`;
+        }
+        return env;
+    }
+
+    /**
+     * Get the directories an installed version may live in
+     */
+    getInstallDirs(version) {
+        const roots = [];
+        if (process.env.FNM_DIR) {
+            roots.push(process.env.FNM_DIR);
+        }
+        if (os.platform() === 'win32') {
+            const appData = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+            roots.push(path.join(appData, 'fnm'));
+        }
+        roots.push(this.getFnmDir(), path.join(os.homedir(), '.fnm'));
+        return roots.map(root => path.join(root, 'node-versions', `v${version}`, 'installation'));
+    }
+
     /**
      * Check if scope is supported
      * fnm only supports local scope in this extension
@@ -307,6 +417,14 @@ class FnmManager extends BaseVersionManager {
         return '.node-version';
     }
 
+    /**
+     * Get the project version files this manager understands
+     * fnm reads .nvmrc and .node-version, and engines with --resolve-engines
+     */
+    getVersionFiles() {
+        return ['nvmrc', 'node-version', 'engines'];
+    }
+
     /**
      * Get display name
      */
@@ -1,12 +1,11 @@
-const { exec } = require('child_process');
-const util = require('util');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const vscode = require('vscode');
 const BaseVersionManager = require('./base-manager');
-
-const execPromise = util.promisify(exec);
+const CommandRunner = require('../utils/command-runner');
+const VersionSpec = require('../utils/version-spec');
+const WorkspaceHelper = require('../utils/workspace-helper');
 
 /**
  * Mise version manager implementation
@@ -57,7 +56,7 @@ class MiseManager extends BaseVersionManager {
         const customPath = config.get('misePath');
 
         if (customPath && fs.existsSync(customPath)) {
-            this.command = `"${customPath}"`;
+            this.command = customPath;
             this.isAvailable = true;
             return true;
         }
@@ -66,50 +65,31 @@ class MiseManager extends BaseVersionManager {
         const paths = this.getMisePaths();
         for (const misePath of paths) {
             if (fs.existsSync(misePath)) {
-                this.command = `"${misePath}"`;
+                this.command = misePath;
                 this.isAvailable = true;
                 return true;
             }
         }
 
         // Try to find in PATH
-        try {
-            const platform = os.platform();
-            const command = platform === 'win32' ? 'where mise' : 'which mise';
-            const { stdout } = await execPromise(command);
-            const foundPath = stdout.trim().split('\n')[0];
-            if (foundPath) {
-                this.command = `"${foundPath}"`;
-                this.isAvailable = true;
-                return true;
-            }
-        } catch (error) {
-            // Not in PATH
+        const [foundPath] = await CommandRunner.findInPath('mise');
+        if (foundPath) {
+            this.command = foundPath;
+            this.isAvailable = true;
+            return true;
         }
 
         this.isAvailable = false;
         return false;
     }
 
-    /**
-     * Get workspace options for command execution
-     */
-    getWorkspaceOptions() {
-        const options = {};
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (workspaceFolders && workspaceFolders.length > 0) {
-            options.cwd = workspaceFolders[0].uri.fsPath;
-        }
-        return options;
-    }
-
     /**
      * Get list of installed Node versions
      */
     async getInstalledVersions() {
         try {
             const options = this.getWorkspaceOptions();
-            const { stdout } = await execPromise(`${this.command} ls node --json`, options);
+            const { stdout } = await CommandRunner.run(this.command, ['ls', 'node', '--json'], options);
             const versions = JSON.parse(stdout);
             return versions.map(v => v.version).filter(v => v);
         } catch (error) {
@@ -121,10 +101,10 @@ class MiseManager extends BaseVersionManager {
     /**
      * Get the currently active Node version
      */
-    async getCurrentVersion() {
+    async getCurrentVersion(folderPath = null) {
         try {
-            const options = this.getWorkspaceOptions();
-            const { stdout } = await execPromise(`${this.command} current node`, options);
+            const options = this.getWorkspaceOptions(folderPath);
+            const { stdout } = await CommandRunner.run(this.command, ['current', 'node'], options);
             return stdout.trim();
         } catch (error) {
             return null;
@@ -134,21 +114,19 @@ class MiseManager extends BaseVersionManager {
     /**
      * Set/switch to a specific Node version
      */
-    async setVersion(version, scope = 'global') {
+    async setVersion(version, scope = 'global', folderPath = null) {
         try {
-            const flag = scope === 'global' ? '--global' : '';
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            const args = scope === 'global' ? ['use', '--global'] : ['use'];
             const options = {};
 
             // For local scope, use workspace folder as cwd
             if (scope === 'local') {
-                const workspaceFolders = vscode.workspace.workspaceFolders;
-                if (!workspaceFolders || workspaceFolders.length === 0) {
-                    throw new Error('No workspace folder open. Please open a folder first.');
-                }
-                options.cwd = workspaceFolders[0].uri.fsPath;
+                options.cwd = WorkspaceHelper.getLocalFolderPath(folderPath);
             }
 
-            await execPromise(`${this.command} use ${flag} node@${version}`, options);
+            await CommandRunner.run(this.command, [...args, `node@${cleanVersion}`], options);
             return true;
         } catch (error) {
             throw new Error(`Failed to set node version: ${error.message}`);
@@ -158,22 +136,101 @@ class MiseManager extends BaseVersionManager {
     /**
      * Install a specific Node version
      */
-    async installVersion(version) {
+    async installVersion(version, installOptions = {}) {
         try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
             const options = this.getWorkspaceOptions();
-            await execPromise(`${this.command} install node@${version}`, options);
+            await this.runInstallCommand(this.command, ['install', `node@${cleanVersion}`], options, installOptions);
             return true;
         } catch (error) {
             throw new Error(`Failed to install node version: ${error.message}`);
         }
     }
 
+    /**
+     * mise keeps aliases in the [alias.node] table of its config
+     */
+    supportsAliases() {
+        return true;
+    }
+
+    /**
+     * Get aliases from `mise alias ls node`, e.g. "node  work  18" or "node  lts-iron  20"
+     * Alias targets are version prefixes, resolved to the newest installed match
+     */
+    async getAliases() {
+        try {
+            const options = this.getWorkspaceOptions();
+            const [{ stdout }, installedVersions] = await Promise.all([
+                CommandRunner.run(this.command, ['alias', 'ls', 'node'], options),
+                this.getInstalledVersions()
+            ]);
+            return stdout
+                .split('\n')
+                .map(line => line.trim().split(/\s+/))
+                // Skips the header row
+                .filter(columns => columns.length >= 3 && columns[0] === 'node')
+                .map(([, name, target]) => {
+                    const resolved = VersionSpec.isSupported(target)
+                        ? VersionSpec.resolve(target, installedVersions)
+                        : null;
+                    return { name, target, version: resolved ? resolved.version : null };
+                })
+                .filter(alias => this.isListedAlias(alias));
+        } catch (error) {
+            console.error('Failed to get mise aliases:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Create or update an alias in the global config
+     */
+    async setAlias(name, version) {
+        try {
+            const aliasName = this.cleanAliasName(name);
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await CommandRunner.run(this.command, ['alias', 'set', 'node', aliasName, cleanVersion]);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to set alias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an alias from the global config
+     */
+    async deleteAlias(name) {
+        try {
+            await CommandRunner.run(this.command, ['alias', 'unset', 'node', this.cleanAliasName(name)]);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to delete alias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uninstall a specific Node version
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await CommandRunner.run(this.command, ['uninstall', `node@${cleanVersion}`], this.getWorkspaceOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
     /**
      * Get list of available Node versions that can be installed
      */
     async getAvailableVersions() {
         try {
-            const { stdout } = await execPromise(`${this.command} ls-remote node`);
+            const { stdout } = await CommandRunner.run(this.command, ['ls-remote', 'node'], this.withMirror());
             const versions = stdout.trim().split('\n').filter(v => v);
             // Return latest 20 versions
             return versions.slice(0, 20);
@@ -183,6 +240,56 @@ class MiseManager extends BaseVersionManager {
         }
     }
 
+    /**
+     * Get the mise data directory, where installed tools live
+     */
+    getDataDir() {
+        if (process.env.MISE_DATA_DIR) {
+            return process.env.MISE_DATA_DIR;
+        }
+        if (os.platform() === 'win32') {
+            const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+            return path.join(localAppData, 'mise');
+        }
+        const xdgDataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+        return path.join(xdgDataHome, 'mise');
+    }
+
+    /**
+     * mise installs every flavour through MISE_NODE_FLAVOR
+     */
+    supportsFlavor(flavor) {
+        return true;
+    }
+
+    /**
+     * mise reads the mirror and build flavour from its node settings
+     */
+    getMirrorEnv(mirror, flavor) {
+        const env = { MISE_NODE_MIRROR_URL: mirror };
+        if (flavor) {
+            env.MISE_NODE_FLAVOR = flavor;
+        }
+        return env;
+    }
+
+    /**
+     * Get the directories an installed version may live in
+     */
+    getInstallDirs(version) {
+        return [path.join(this.getDataDir(), 'installs', 'node', version)];
+    }
+
+    /**
+     * Include the download directory
+     */
+    getInstallArtifacts(version) {
+        return [
+            ...this.getInstallDirs(version),
+            path.join(this.getDataDir(), 'downloads', 'node', version)
+        ];
+    }
+
     /**
      * Check if scope is supported
      */
@@ -197,6 +304,14 @@ class MiseManager extends BaseVersionManager {
         return '.mise.toml';
     }
 
+    /**
+     * Get the project version files this manager understands
+     * mise reads its own config, .tool-versions and idiomatic version files
+     */
+    getVersionFiles() {
+        return ['mise', 'tool-versions', 'nvmrc', 'node-version', 'engines'];
+    }
+
     /**
      * Get display name
      */
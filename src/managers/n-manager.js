@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const vscode = require('vscode');
+const BaseVersionManager = require('./base-manager');
+const CommandRunner = require('../utils/command-runner');
+const NodeMirror = require('../utils/node-mirror');
+const VersionSpec = require('../utils/version-spec');
+
+/**
+ * n version manager implementation
+ * https://github.com/tj/n
+ */
+class NManager extends BaseVersionManager {
+    constructor() {
+        super();
+        this.name = 'n';
+        // n installs the active Node into N_PREFIX (default /usr/local)
+        this.nPrefix = process.env.N_PREFIX || '/usr/local';
+    }
+
+    /**
+     * Get common n installation paths
+     */
+    getNPaths() {
+        return [
+            path.join(this.nPrefix, 'bin', 'n'),
+            path.join(os.homedir(), 'n', 'bin', 'n'),
+            path.join(os.homedir(), '.local', 'bin', 'n'),
+            '/usr/local/bin/n',
+            '/usr/bin/n',
+            '/opt/homebrew/bin/n'
+        ];
+    }
+
+    /**
+     * Detect if n is installed
+     */
+    async detect() {
+        // n does not support Windows
+        if (os.platform() === 'win32') {
+            this.isAvailable = false;
+            return false;
+        }
+
+        // Check if user has configured a custom path
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        const customPath = config.get('nPath');
+
+        if (customPath && fs.existsSync(customPath)) {
+            this.command = customPath;
+            this.isAvailable = true;
+            return true;
+        }
+
+        // Try common paths
+        const paths = this.getNPaths();
+        for (const nPath of paths) {
+            if (fs.existsSync(nPath)) {
+                this.command = nPath;
+                this.isAvailable = true;
+                return true;
+            }
+        }
+
+        // Try to find in PATH
+        const [foundPath] = await CommandRunner.findInPath('n');
+        if (foundPath) {
+            this.command = foundPath;
+            this.isAvailable = true;
+            return true;
+        }
+
+        this.isAvailable = false;
+        return false;
+    }
+
+    /**
+     * Get environment for command execution
+     */
+    getExecOptions() {
+        return {
+            env: { ...process.env, N_PREFIX: this.nPrefix }
+        };
+    }
+
+    /**
+     * Get list of installed Node versions
+     */
+    async getInstalledVersions() {
+        try {
+            const { stdout } = await CommandRunner.run(this.command, ['ls'], this.getExecOptions());
+
+            // Parse output format:
+            // node/18.19.0
+            // node/20.10.0
+            const versions = stdout
+                .split('\n')
+                .map(line => {
+                    const match = line.trim().match(/^node\/v?(\d+\.\d+\.\d+)/);
+                    return match ? match[1] : null;
+                })
+                .filter(v => v);
+
+            // Remove duplicates and return unique versions
+            return [...new Set(versions)];
+        } catch (error) {
+            console.error('Failed to get installed versions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the Node version a folder uses
+     * n only switches globally, a folder's version file is resolved against the installed versions
+     */
+    async getCurrentVersion(folderPath = null) {
+        return await this.getFolderVersion(folderPath) || await this.getGlobalVersion();
+    }
+
+    /**
+     * Get the global Node version
+     * n has no "current" command, so ask the node binary in the n prefix
+     */
+    async getGlobalVersion() {
+        try {
+            const nodePath = path.join(this.nPrefix, 'bin', 'node');
+            const { stdout } = await CommandRunner.run(fs.existsSync(nodePath) ? nodePath : 'node', ['--version']);
+            const version = stdout.trim().replace(/^v/, '');
+            if (version && /^\d+\.\d+\.\d+/.test(version)) {
+                return version;
+            }
+            return null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Set/switch to a specific Node version
+     * n only supports global scope
+     */
+    async setVersion(version, scope = 'global') {
+        try {
+            // Show warning if user selected local scope
+            if (scope === 'local') {
+                vscode.window.showWarningMessage(
+                    'n only supports global scope. The version will be set globally.'
+                );
+            }
+
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+
+            // 'n <version>' installs the version if needed and activates it
+            await CommandRunner.run(this.command, [cleanVersion], this.getExecOptions());
+            return true;
+        } catch (error) {
+            // Check for permission errors
+            if (error.message.includes('EACCES') || error.message.includes('Permission denied')) {
+                throw new Error(
+                    `Permission denied writing to ${this.nPrefix}. ` +
+                    'Set N_PREFIX to a user-writable directory or change the owner of the n prefix.'
+                );
+            }
+            throw new Error(`Failed to set node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Install a specific Node version
+     * Uses --download so the active version is left unchanged
+     */
+    async installVersion(version, installOptions = {}) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            const flavor = this.getFlavor();
+            const archArgs = flavor ? ['--arch', `${NodeMirror.getArch()}-${flavor}`] : [];
+            await this.runInstallCommand(this.command, [...archArgs, '--download', cleanVersion], this.getExecOptions(), installOptions);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to install node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uninstall a specific Node version
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await CommandRunner.run(this.command, ['rm', cleanVersion], this.getExecOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get list of available Node versions that can be installed
+     */
+    async getAvailableVersions() {
+        try {
+            const { stdout } = await CommandRunner.run(this.command, ['ls-remote'], this.withMirror(this.getExecOptions()));
+
+            // Parse output format (newest first):
+            // 22.11.0
+            // 22.10.0
+            const versions = stdout
+                .split('\n')
+                .map(line => line.trim().replace(/^v/, ''))
+                .filter(v => v && /^\d+\.\d+\.\d+$/.test(v))
+                .slice(0, 20); // Limit to 20 versions
+
+            return versions;
+        } catch (error) {
+            console.error('Failed to get available versions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * n installs every flavour through --arch
+     */
+    supportsFlavor(flavor) {
+        return true;
+    }
+
+    /**
+     * n reads the mirror from N_NODE_MIRROR, the flavour is passed as part of --arch on install
+     */
+    getMirrorEnv(mirror) {
+        return { N_NODE_MIRROR: mirror };
+    }
+
+    /**
+     * Get the directories an installed version may live in
+     * n caches every downloaded version under N_CACHE_PREFIX (defaults to N_PREFIX)
+     */
+    getInstallDirs(version) {
+        const cachePrefix = process.env.N_CACHE_PREFIX || this.nPrefix;
+        return [path.join(cachePrefix, 'n', 'versions', 'node', version)];
+    }
+
+    /**
+     * Check if scope is supported
+     * n only supports global scope
+     */
+    supportsScope() {
+        return false;
+    }
+
+    /**
+     * Get configuration file name
+     * n doesn't write a project config file
+     */
+    getConfigFileName() {
+        return null;
+    }
+
+    /**
+     * Get the project version files this manager understands
+     * 'n auto' reads .node-version, .nvmrc and engines
+     */
+    getVersionFiles() {
+        return ['nvmrc', 'node-version', 'engines'];
+    }
+
+    /**
+     * Get display name
+     */
+    getDisplayName() {
+        return 'n';
+    }
+}
+
+module.exports = NManager;
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const vscode = require('vscode');
+const BaseVersionManager = require('./base-manager');
+const CommandRunner = require('../utils/command-runner');
+const NodeReleases = require('../utils/node-releases');
+const VersionSpec = require('../utils/version-spec');
+const WorkspaceHelper = require('../utils/workspace-helper');
+
+/**
+ * nodenv version manager implementation
+ * https://github.com/nodenv/nodenv
+ */
+class NodenvManager extends BaseVersionManager {
+    constructor() {
+        super();
+        this.name = 'nodenv';
+        this.nodenvRoot = process.env.NODENV_ROOT || path.join(os.homedir(), '.nodenv');
+    }
+
+    /**
+     * Get common nodenv installation paths
+     */
+    getNodenvPaths() {
+        return [
+            path.join(this.nodenvRoot, 'bin', 'nodenv'),
+            path.join(os.homedir(), '.nodenv', 'bin', 'nodenv'),
+            '/usr/local/bin/nodenv',
+            '/usr/bin/nodenv',
+            '/opt/homebrew/bin/nodenv',
+            '/home/linuxbrew/.linuxbrew/bin/nodenv'
+        ];
+    }
+
+    /**
+     * Detect if nodenv is installed
+     */
+    async detect() {
+        // Only detect on Unix-like systems
+        if (os.platform() === 'win32') {
+            this.isAvailable = false;
+            return false;
+        }
+
+        // Check if user has configured a custom path
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        const customPath = config.get('nodenvPath');
+
+        if (customPath && fs.existsSync(customPath)) {
+            this.command = customPath;
+            this.isAvailable = true;
+            return true;
+        }
+
+        // Try common paths
+        const paths = this.getNodenvPaths();
+        for (const nodenvPath of paths) {
+            if (fs.existsSync(nodenvPath)) {
+                this.command = nodenvPath;
+                this.isAvailable = true;
+                return true;
+            }
+        }
+
+        // Try to find in PATH
+        const [foundPath] = await CommandRunner.findInPath('nodenv');
+        if (foundPath) {
+            this.command = foundPath;
+            this.isAvailable = true;
+            return true;
+        }
+
+        this.isAvailable = false;
+        return false;
+    }
+
+    /**
+     * Get list of installed Node versions
+     */
+    async getInstalledVersions() {
+        try {
+            const options = this.getWorkspaceOptions();
+            const { stdout } = await CommandRunner.run(this.command, ['versions', '--bare'], options);
+
+            // Parse output format:
+            // 18.19.0
+            // 20.10.0
+            const versions = stdout
+                .split('\n')
+                .map(line => line.trim().replace(/^v/, ''))
+                .filter(v => v && /^\d+\.\d+\.\d+/.test(v));
+
+            // Remove duplicates and return unique versions
+            return [...new Set(versions)];
+        } catch (error) {
+            console.error('Failed to get installed versions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the currently active Node version
+     */
+    async getCurrentVersion(folderPath = null) {
+        try {
+            const options = this.getWorkspaceOptions(folderPath);
+            const { stdout } = await CommandRunner.run(this.command, ['version-name'], options);
+            const version = stdout.trim().replace(/^v/, '');
+            return version && version !== 'system' ? version : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Set/switch to a specific Node version
+     * Global scope uses 'nodenv global', local scope uses 'nodenv local' which writes .node-version
+     * nodenv only accepts an exact installed version, so partial versions and aliases are resolved and installed first
+     */
+    async setVersion(version, scope = 'global', folderPath = null) {
+        try {
+            // Validate and remove 'v' prefix if present
+            let cleanVersion = VersionSpec.clean(version);
+            const installedVersions = await this.getInstalledVersions();
+
+            if (!VersionSpec.toParts(cleanVersion)) {
+                const resolved = VersionSpec.resolve(cleanVersion, installedVersions)
+                    || VersionSpec.resolve(cleanVersion, installedVersions, await NodeReleases.getReleases(this));
+                if (!resolved) {
+                    throw new Error(`No Node release matches ${cleanVersion}`);
+                }
+                cleanVersion = resolved.version;
+            }
+
+            if (!installedVersions.includes(cleanVersion)) {
+                await this.installVersion(cleanVersion);
+            }
+
+            const options = {};
+
+            if (scope === 'local') {
+                options.cwd = WorkspaceHelper.getLocalFolderPath(folderPath);
+                await CommandRunner.run(this.command, ['local', cleanVersion], options);
+            } else {
+                await CommandRunner.run(this.command, ['global', cleanVersion], options);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to set node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Install a specific Node version
+     * node-build needs an exact version, so partial versions (e.g., 20) are resolved to the latest match
+     */
+    async installVersion(version, installOptions = {}) {
+        try {
+            // Validate and remove 'v' prefix if present
+            let cleanVersion = VersionSpec.clean(version);
+            if (/^\d+(\.\d+)?$/.test(cleanVersion)) {
+                const available = await this.listRemoteVersions();
+                const latest = available.find(v => v.startsWith(`${cleanVersion}.`));
+                if (latest) {
+                    cleanVersion = latest;
+                }
+            }
+
+            const options = this.getWorkspaceOptions();
+            await this.runInstallCommand(this.command, ['install', '--skip-existing', cleanVersion], options, installOptions);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to install node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uninstall a specific Node version
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            // --force skips the confirmation prompt
+            await CommandRunner.run(this.command, ['uninstall', '--force', cleanVersion], this.getWorkspaceOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * List every Node version node-build can install, newest first
+     */
+    async listRemoteVersions() {
+        const { stdout } = await CommandRunner.run(this.command, ['install', '--list']);
+
+        // node-build lists versions in ascending order
+        return stdout
+            .split('\n')
+            .map(line => line.trim())
+            .filter(v => v && /^\d+\.\d+\.\d+$/.test(v))
+            .reverse();
+    }
+
+    /**
+     * Get list of available Node versions that can be installed
+     */
+    async getAvailableVersions() {
+        try {
+            const versions = await this.listRemoteVersions();
+            // Return latest 20 versions
+            return versions.slice(0, 20);
+        } catch (error) {
+            console.error('Failed to get available versions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * node-build reads the mirror from NODE_BUILD_MIRROR_URL
+     */
+    getMirrorEnv(mirror) {
+        return { NODE_BUILD_MIRROR_URL: mirror };
+    }
+
+    /**
+     * Get the directories an installed version may live in
+     */
+    getInstallDirs(version) {
+        return [path.join(this.nodenvRoot, 'versions', version)];
+    }
+
+    /**
+     * Check if scope is supported
+     */
+    supportsScope() {
+        return true;
+    }
+
+    /**
+     * Get configuration file name
+     */
+    getConfigFileName() {
+        return '.node-version';
+    }
+
+    /**
+     * Get the project version files this manager understands
+     */
+    getVersionFiles() {
+        return ['node-version', 'engines'];
+    }
+
+    /**
+     * Get display name
+     */
+    getDisplayName() {
+        return 'nodenv';
+    }
+}
+
+module.exports = NodenvManager;
@@ -1,12 +1,22 @@
-const { exec } = require('child_process');
-const util = require('util');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const vscode = require('vscode');
 const BaseVersionManager = require('./base-manager');
+const CommandRunner = require('../utils/command-runner');
+const VersionSpec = require('../utils/version-spec');
+const WorkspaceHelper = require('../utils/workspace-helper');
 
-const execPromise = util.promisify(exec);
+// Sources nvm.sh ($0) and forwards the remaining arguments to nvm.
+// Arguments are cleared before sourcing because nvm.sh inspects them.
+const NVM_SCRIPT = 'nvm_args=("$@"); set --; . "$0" && nvm "${nvm_args[@]}"';
+
+// A line of `nvm alias`, e.g. "default -> 20 (-> v20.11.1 *)" or "node -> stable (-> v21.6.1) (default)"
+// The current version is marked with '*', built-in aliases with "(default)"
+const ALIAS_LINE_PATTERN = /^(\S+)\s+->\s+(\S+?)(?:\s+\*)?(?:\s+\(->\s+([^\s)]+)[^)]*\))?(\s+\(default\))?\s*$/;
+
+// Colors nvm may print around alias names and versions
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
 
 /**
  * nvm (Unix) version manager implementation
@@ -77,12 +87,12 @@ class NvmManager extends BaseVersionManager {
     /**
      * Execute nvm command
      * nvm is a bash function, so we need to source it first
+     * @param {string[]} args - nvm arguments (e.g., ['install', '20'])
      */
-    async execNvm(command, options = {}) {
-        const fullCommand = `bash -c "source ${this.command} && nvm ${command}"`;
-        return await execPromise(fullCommand, {
+    async execNvm(args, options = {}) {
+        return await CommandRunner.run('bash', ['-c', NVM_SCRIPT, this.command, ...args], {
             ...options,
-            env: { ...process.env, NVM_DIR: this.nvmDir }
+            env: { ...process.env, ...options.env, NVM_DIR: this.nvmDir }
         });
     }
 
@@ -91,21 +101,22 @@ class NvmManager extends BaseVersionManager {
      */
     async getInstalledVersions() {
         try {
-            const { stdout } = await this.execNvm('list');
+            const { stdout } = await this.execNvm(['list', '--no-colors']);
             // Parse output format:
-            //   ->     v20.10.0
-            //          v18.19.0
+            //   ->     v20.10.0 *
+            //          v18.19.0 *
             //          system
+            //   default -> 20 (-> v20.10.0 *)
+            //   lts/argon -> v4.9.1 (-> N/A)
+            // Installed versions start the line, alias lines start with the alias name and may name
+            // versions that aren't installed
             const versions = stdout
+                .replace(ANSI_PATTERN, '')
                 .split('\n')
-                .map(line => line.trim())
-                .filter(line => line.match(/v?\d+\.\d+\.\d+/))
-                .map(line => {
-                    const match = line.match(/v?(\d+\.\d+\.\d+)/);
-                    return match ? match[1] : null;
-                })
-                .filter(v => v);
-            return versions;
+                .map(line => line.trim().match(/^(?:->\s*)?v(\d+\.\d+\.\d+)\b/))
+                .filter(match => match)
+                .map(match => match[1]);
+            return [...new Set(versions)];
         } catch (error) {
             console.error('Failed to get nvm versions:', error);
             return [];
@@ -113,11 +124,19 @@ class NvmManager extends BaseVersionManager {
     }
 
     /**
-     * Get the currently active Node version
+     * Get the Node version a folder uses
+     * `nvm current` only knows the shell's version, so the folder's version file comes first
+     */
+    async getCurrentVersion(folderPath = null) {
+        return await this.getFolderVersion(folderPath) || await this.getGlobalVersion();
+    }
+
+    /**
+     * Get the version `nvm current` reports, the default alias in a fresh shell
      */
-    async getCurrentVersion() {
+    async getGlobalVersion() {
         try {
-            const { stdout } = await this.execNvm('current');
+            const { stdout } = await this.execNvm(['current']);
             const version = stdout.trim().replace(/^v/, '');
             return version === 'none' || version === 'system' ? null : version;
         } catch (error) {
@@ -128,26 +147,23 @@ class NvmManager extends BaseVersionManager {
     /**
      * Set/switch to a specific Node version
      */
-    async setVersion(version, scope = 'global') {
+    async setVersion(version, scope = 'global', folderPath = null) {
         try {
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
 
             if (scope === 'local') {
                 // nvm's local scope is implemented via .nvmrc file
-                const workspaceFolders = vscode.workspace.workspaceFolders;
-                if (!workspaceFolders || workspaceFolders.length === 0) {
-                    throw new Error('No workspace folder open. Please open a folder first.');
-                }
-                const nvmrcPath = path.join(workspaceFolders[0].uri.fsPath, '.nvmrc');
+                const folder = WorkspaceHelper.getLocalFolderPath(folderPath);
+                const nvmrcPath = path.join(folder, '.nvmrc');
                 fs.writeFileSync(nvmrcPath, cleanVersion);
 
                 // Use the version from .nvmrc
-                await this.execNvm('use', { cwd: workspaceFolders[0].uri.fsPath });
+                await this.execNvm(['use'], { cwd: folder });
             } else {
                 // Global: use and set as default
-                await this.execNvm(`use ${cleanVersion}`);
-                await this.execNvm(`alias default ${cleanVersion}`);
+                await this.execNvm(['use', cleanVersion]);
+                await this.execNvm(['alias', 'default', cleanVersion]);
             }
 
             return true;
@@ -159,23 +175,150 @@ class NvmManager extends BaseVersionManager {
     /**
      * Install a specific Node version
      */
-    async installVersion(version) {
+    async installVersion(version, installOptions = {}) {
         try {
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
-            await this.execNvm(`install ${cleanVersion}`);
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await this.runInstallCommand('bash', ['-c', NVM_SCRIPT, this.command, 'install', cleanVersion], {
+                env: { ...process.env, NVM_DIR: this.nvmDir }
+            }, installOptions);
             return true;
         } catch (error) {
             throw new Error(`Failed to install version: ${error.message}`);
         }
     }
 
+    /**
+     * nvm copies global packages with `nvm install --reinstall-packages-from`
+     */
+    supportsReinstallPackages() {
+        return true;
+    }
+
+    /**
+     * Reinstall the global packages of one version into another
+     * For an installed target, nvm install switches to it and runs `nvm reinstall-packages`, relinking npm link'ed packages
+     */
+    async reinstallPackages(fromVersion, toVersion, installOptions = {}) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanFrom = VersionSpec.clean(fromVersion);
+            const cleanTo = VersionSpec.clean(toVersion);
+            await this.runInstallCommand('bash', [
+                '-c', NVM_SCRIPT, this.command, 'install', cleanTo, `--reinstall-packages-from=${cleanFrom}`
+            ], {
+                env: { ...process.env, NVM_DIR: this.nvmDir }
+            }, installOptions);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to reinstall packages: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the version the default alias resolves to
+     */
+    async getDefaultVersion() {
+        try {
+            const { stdout } = await this.execNvm(['version', 'default']);
+            const version = stdout.trim().replace(/^v/, '');
+            return /^\d+\.\d+\.\d+$/.test(version) ? version : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Point the default alias at a version
+     */
+    async setDefaultVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await this.execNvm(['alias', 'default', cleanVersion]);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to set default version: ${error.message}`);
+        }
+    }
+
+    /**
+     * nvm keeps aliases as files in $NVM_DIR/alias
+     */
+    supportsAliases() {
+        return true;
+    }
+
+    /**
+     * Get user aliases, default and lts/* from `nvm alias`
+     * nvm's built-in aliases (node, stable, iojs, unstable) are marked "(default)" and skipped
+     */
+    async getAliases() {
+        try {
+            const { stdout } = await this.execNvm(['alias', '--no-colors']);
+            return stdout
+                .replace(ANSI_PATTERN, '')
+                .split('\n')
+                .map(line => line.trim().match(ALIAS_LINE_PATTERN))
+                .filter(match => match && !match[4])
+                .map(([, name, target, resolved]) => {
+                    const version = (resolved || target).replace(/^v/, '');
+                    return { name, target, version: /^\d+\.\d+\.\d+$/.test(version) ? version : null };
+                })
+                .filter(alias => this.isListedAlias(alias));
+        } catch (error) {
+            console.error('Failed to get nvm aliases:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Create or update an alias
+     */
+    async setAlias(name, version) {
+        try {
+            const aliasName = this.cleanAliasName(name);
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await this.execNvm(['alias', aliasName, cleanVersion]);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to set alias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an alias
+     */
+    async deleteAlias(name) {
+        try {
+            await this.execNvm(['unalias', this.cleanAliasName(name)]);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to delete alias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uninstall a specific Node version
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await this.execNvm(['uninstall', cleanVersion]);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
     /**
      * Get list of available Node versions that can be installed
      */
     async getAvailableVersions() {
         try {
-            const { stdout } = await this.execNvm('ls-remote --lts');
+            const { stdout } = await this.execNvm(['ls-remote', '--lts'], this.withMirror());
             // Parse output and get latest LTS versions
             const versions = stdout
                 .split('\n')
@@ -194,6 +337,32 @@ class NvmManager extends BaseVersionManager {
         }
     }
 
+    /**
+     * nvm reads the mirror from NVM_NODEJS_ORG_MIRROR and picks musl builds on Alpine by itself
+     */
+    getMirrorEnv(mirror) {
+        return { NVM_NODEJS_ORG_MIRROR: mirror };
+    }
+
+    /**
+     * Get the directories an installed version may live in
+     */
+    getInstallDirs(version) {
+        return [path.join(this.nvmDir, 'versions', 'node', `v${version}`)];
+    }
+
+    /**
+     * Include the download cache (e.g. .cache/bin/node-v20.10.0-linux-x64)
+     */
+    getInstallArtifacts(version) {
+        const cacheDir = path.join(this.nvmDir, '.cache');
+        return [
+            ...this.getInstallDirs(version),
+            ...this.findEntries(path.join(cacheDir, 'bin'), `node-v${version}-`),
+            path.join(cacheDir, 'src', `node-v${version}`)
+        ];
+    }
+
     /**
      * Check if scope is supported
      */
@@ -1,12 +1,11 @@
-const { exec } = require('child_process');
-const util = require('util');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const vscode = require('vscode');
 const BaseVersionManager = require('./base-manager');
-
-const execPromise = util.promisify(exec);
+const CommandRunner = require('../utils/command-runner');
+const VersionSpec = require('../utils/version-spec');
+const WorkspaceHelper = require('../utils/workspace-helper');
 
 /**
  * nvm-windows version manager implementation
@@ -60,7 +59,7 @@ class NvmWindowsManager extends BaseVersionManager {
         const customPath = config.get('nvmPath');
 
         if (customPath && fs.existsSync(customPath)) {
-            this.command = `"${customPath}"`;
+            this.command = customPath;
             this.isAvailable = true;
             return true;
         }
@@ -69,23 +68,18 @@ class NvmWindowsManager extends BaseVersionManager {
         const paths = this.getNvmPaths();
         for (const nvmPath of paths) {
             if (fs.existsSync(nvmPath)) {
-                this.command = `"${nvmPath}"`;
+                this.command = nvmPath;
                 this.isAvailable = true;
                 return true;
             }
         }
 
         // Try to find in PATH
-        try {
-            const { stdout } = await execPromise('where nvm');
-            const foundPath = stdout.trim().split('\n')[0];
-            if (foundPath && foundPath.toLowerCase().includes('nvm.exe')) {
-                this.command = `"${foundPath}"`;
-                this.isAvailable = true;
-                return true;
-            }
-        } catch (error) {
-            // Not in PATH
+        const [foundPath] = await CommandRunner.findInPath('nvm');
+        if (foundPath && foundPath.toLowerCase().includes('nvm.exe')) {
+            this.command = foundPath;
+            this.isAvailable = true;
+            return true;
         }
 
         this.isAvailable = false;
@@ -97,7 +91,7 @@ class NvmWindowsManager extends BaseVersionManager {
      */
     async getInstalledVersions() {
         try {
-            const { stdout } = await execPromise(`${this.command} list`);
+            const { stdout } = await CommandRunner.run(this.command, ['list']);
             // Parse output format:
             //   * 20.10.0 (Currently using 64-bit executable)
             //     18.19.0
@@ -118,11 +112,19 @@ class NvmWindowsManager extends BaseVersionManager {
     }
 
     /**
-     * Get the currently active Node version
+     * Get the Node version a folder uses
+     * nvm-windows only switches globally, a folder's version file is resolved against the installed versions
      */
-    async getCurrentVersion() {
+    async getCurrentVersion(folderPath = null) {
+        return await this.getFolderVersion(folderPath) || await this.getGlobalVersion();
+    }
+
+    /**
+     * Get the global Node version from `nvm current`
+     */
+    async getGlobalVersion() {
         try {
-            const { stdout } = await execPromise(`${this.command} current`);
+            const { stdout } = await CommandRunner.run(this.command, ['current']);
             const match = stdout.match(/v?(\d+\.\d+\.\d+)/);
             return match ? match[1] : null;
         } catch (error) {
@@ -134,21 +136,22 @@ class NvmWindowsManager extends BaseVersionManager {
      * Set/switch to a specific Node version
      * Note: nvm-windows only supports global switching
      */
-    async setVersion(version, scope = 'global') {
+    async setVersion(version, scope = 'global', folderPath = null) {
         try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+
             // nvm-windows doesn't support local scope, only global
             if (scope === 'local') {
                 // Create .nvmrc file as a hint, but actual switch is global
-                const workspaceFolders = vscode.workspace.workspaceFolders;
-                if (workspaceFolders && workspaceFolders.length > 0) {
-                    const nvmrcPath = path.join(workspaceFolders[0].uri.fsPath, '.nvmrc');
-                    fs.writeFileSync(nvmrcPath, version);
+                const folder = folderPath || WorkspaceHelper.getActiveFolderPath();
+                if (folder) {
+                    const nvmrcPath = path.join(folder, '.nvmrc');
+                    fs.writeFileSync(nvmrcPath, cleanVersion);
                 }
             }
 
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
-            await execPromise(`${this.command} use ${cleanVersion}`);
+            await CommandRunner.run(this.command, ['use', cleanVersion]);
             return true;
         } catch (error) {
             throw new Error(`Failed to set version: ${error.message}`);
@@ -158,23 +161,37 @@ class NvmWindowsManager extends BaseVersionManager {
     /**
      * Install a specific Node version
      */
-    async installVersion(version) {
+    async installVersion(version, installOptions = {}) {
         try {
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
-            await execPromise(`${this.command} install ${cleanVersion}`);
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await this.runInstallCommand(this.command, ['install', cleanVersion], {}, installOptions);
             return true;
         } catch (error) {
             throw new Error(`Failed to install version: ${error.message}`);
         }
     }
 
+    /**
+     * Uninstall a specific Node version
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await CommandRunner.run(this.command, ['uninstall', cleanVersion]);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
     /**
      * Get list of available Node versions that can be installed
      */
     async getAvailableVersions() {
         try {
-            const { stdout } = await execPromise(`${this.command} list available`);
+            const { stdout } = await CommandRunner.run(this.command, ['list', 'available']);
             // Parse output and get latest versions
             const versions = stdout
                 .split('\n')
@@ -193,6 +210,21 @@ class NvmWindowsManager extends BaseVersionManager {
         }
     }
 
+    /**
+     * Get the directories an installed version may live in
+     * nvm-windows keeps versions next to nvm.exe unless NVM_HOME points elsewhere
+     */
+    getInstallDirs(version) {
+        const dirs = [];
+        if (process.env.NVM_HOME) {
+            dirs.push(path.join(process.env.NVM_HOME, `v${version}`));
+        }
+        if (this.command) {
+            dirs.push(path.join(path.dirname(this.command), `v${version}`));
+        }
+        return dirs;
+    }
+
     /**
      * Check if scope is supported
      * nvm-windows only supports global scope
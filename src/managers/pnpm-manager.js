@@ -1,13 +1,11 @@
-const { exec } = require('child_process');
-const util = require('util');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const vscode = require('vscode');
 const BaseVersionManager = require('./base-manager');
 const ProcessHelper = require('../utils/process-helper');
-
-const execPromise = util.promisify(exec);
+const CommandRunner = require('../utils/command-runner');
+const VersionSpec = require('../utils/version-spec');
 
 /**
  * pnpm version manager implementation
@@ -75,35 +73,28 @@ class PnpmManager extends BaseVersionManager {
         }
 
         // Try to find in PATH
-        try {
-            const platform = os.platform();
-            const command = platform === 'win32' ? 'where pnpm' : 'which pnpm';
-            const { stdout } = await execPromise(command);
-            const lines = stdout.trim().split('\n').map(line => line.trim()).filter(line => line);
-
-            // On Windows, prefer .CMD files over .exe or no extension
-            if (platform === 'win32') {
-                const cmdFile = lines.find(line => line.toLowerCase().endsWith('.cmd'));
-                if (cmdFile) {
-                    this.pnpmPath = cmdFile;
-                    this.isAvailable = true;
-                    return true;
-                }
-            }
+        const lines = await CommandRunner.findInPath('pnpm');
 
-            // Use the first found path
-            if (lines.length > 0) {
-                this.pnpmPath = lines[0];
+        // On Windows, prefer .CMD files over .exe or no extension
+        if (os.platform() === 'win32') {
+            const cmdFile = lines.find(line => line.toLowerCase().endsWith('.cmd'));
+            if (cmdFile) {
+                this.pnpmPath = cmdFile;
                 this.isAvailable = true;
                 return true;
             }
-        } catch (error) {
-            // Not in PATH
+        }
+
+        // Use the first found path
+        if (lines.length > 0) {
+            this.pnpmPath = lines[0];
+            this.isAvailable = true;
+            return true;
         }
 
         // If not found in specific paths, try just 'pnpm' command
         try {
-            await execPromise('pnpm --version');
+            await CommandRunner.run('pnpm', ['--version']);
             this.pnpmPath = 'pnpm';
             this.isAvailable = true;
             return true;
@@ -116,36 +107,11 @@ class PnpmManager extends BaseVersionManager {
     }
 
     /**
-     * Build command string for execution
-     * On Windows, handle quoted paths properly for PowerShell/cmd
+     * Execute pnpm command
+     * @param {string[]} args - pnpm arguments (e.g., ['env', 'list'])
      */
-    buildCommand(args) {
-        const platform = os.platform();
-
-        // If pnpmPath is just 'pnpm', use it directly
-        if (this.pnpmPath === 'pnpm') {
-            return `pnpm ${args}`;
-        }
-
-        // On Windows, use cmd /c to handle quoted paths properly
-        if (platform === 'win32') {
-            return `cmd /c ""${this.pnpmPath}" ${args}"`;
-        }
-
-        // On Unix-like systems, quote the path
-        return `"${this.pnpmPath}" ${args}`;
-    }
-
-    /**
-     * Get workspace options for command execution
-     */
-    getWorkspaceOptions() {
-        const options = {};
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (workspaceFolders && workspaceFolders.length > 0) {
-            options.cwd = workspaceFolders[0].uri.fsPath;
-        }
-        return options;
+    async execPnpm(args, options = {}) {
+        return await CommandRunner.run(this.pnpmPath, args, options);
     }
 
     /**
@@ -154,7 +120,7 @@ class PnpmManager extends BaseVersionManager {
     async getInstalledVersions() {
         try {
             const options = this.getWorkspaceOptions();
-            const { stdout } = await execPromise(this.buildCommand('env list'), options);
+            const { stdout } = await this.execPnpm(['env', 'list'], options);
 
             console.log('[pnpm-manager] Raw output from pnpm env list:', JSON.stringify(stdout));
 
@@ -186,11 +152,11 @@ class PnpmManager extends BaseVersionManager {
     /**
      * Get the currently active Node version
      */
-    async getCurrentVersion() {
+    async getCurrentVersion(folderPath = null) {
         try {
             // Get current Node version from node --version
-            const options = this.getWorkspaceOptions();
-            const { stdout } = await execPromise('node --version', options);
+            const options = this.getWorkspaceOptions(folderPath);
+            const { stdout } = await CommandRunner.run('node', ['--version'], options);
             const version = stdout.trim().replace(/^v/, '');
             console.log('[pnpm-manager] Current version from node --version:', version);
             if (version && /^\d+\.\d+\.\d+/.test(version)) {
@@ -216,8 +182,8 @@ class PnpmManager extends BaseVersionManager {
                 );
             }
 
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
 
             // First, ensure the version is installed
             const installedVersions = await this.getInstalledVersions();
@@ -236,7 +202,7 @@ class PnpmManager extends BaseVersionManager {
 
             // Use pnpm env use --global to switch version
             const options = this.getWorkspaceOptions();
-            await execPromise(this.buildCommand(`env use --global ${cleanVersion}`), options);
+            await this.execPnpm(['env', 'use', '--global', cleanVersion], options);
 
             // Prompt to reload VS Code window
             await ProcessHelper.promptToReloadWindow();
@@ -257,27 +223,41 @@ class PnpmManager extends BaseVersionManager {
     /**
      * Install a specific Node version
      */
-    async installVersion(version) {
+    async installVersion(version, installOptions = {}) {
         try {
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
             const options = this.getWorkspaceOptions();
 
             // Use pnpm env add --global to install version
-            await execPromise(this.buildCommand(`env add --global ${cleanVersion}`), options);
+            await this.runInstallCommand(this.pnpmPath, ['env', 'add', '--global', cleanVersion], options, installOptions);
             return true;
         } catch (error) {
             throw new Error(`Failed to install node version: ${error.message}`);
         }
     }
 
+    /**
+     * Uninstall a specific Node version
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await this.execPnpm(['env', 'remove', '--global', cleanVersion], this.getWorkspaceOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
     /**
      * Get list of available Node versions that can be installed
      */
     async getAvailableVersions() {
         try {
             const options = this.getWorkspaceOptions();
-            const { stdout } = await execPromise(this.buildCommand('env list --remote'), options);
+            const { stdout } = await this.execPnpm(['env', 'list', '--remote'], this.withMirror(options));
 
             // Parse output format - pnpm env list --remote shows versions like:
             // 24.12.0
@@ -297,6 +277,38 @@ class PnpmManager extends BaseVersionManager {
         }
     }
 
+    /**
+     * Get the pnpm home directory, where 'pnpm env' keeps Node versions
+     */
+    getPnpmHome() {
+        if (process.env.PNPM_HOME) {
+            return process.env.PNPM_HOME;
+        }
+        const homeDir = os.homedir();
+        if (os.platform() === 'win32') {
+            return path.join(process.env.LOCALAPPDATA || path.join(homeDir, 'AppData', 'Local'), 'pnpm');
+        }
+        if (os.platform() === 'darwin') {
+            return path.join(homeDir, 'Library', 'pnpm');
+        }
+        const xdgDataHome = process.env.XDG_DATA_HOME || path.join(homeDir, '.local', 'share');
+        return path.join(xdgDataHome, 'pnpm');
+    }
+
+    /**
+     * pnpm reads the mirror from its node-mirror:release setting, passed as an npm_config_ variable
+     */
+    getMirrorEnv(mirror) {
+        return { 'npm_config_node_mirror:release': mirror };
+    }
+
+    /**
+     * Get the directories an installed version may live in
+     */
+    getInstallDirs(version) {
+        return [path.join(this.getPnpmHome(), 'nodejs', version)];
+    }
+
     /**
      * Check if scope is supported
      * pnpm only supports global scope
@@ -313,6 +325,21 @@ class PnpmManager extends BaseVersionManager {
         return null;
     }
 
+    /**
+     * Get the resolved path of the pnpm executable
+     */
+    getBinaryPath() {
+        return this.pnpmPath || null;
+    }
+
+    /**
+     * Get the project version files this manager understands
+     * pnpm pins Node with use-node-version in .npmrc
+     */
+    getVersionFiles() {
+        return ['npmrc', 'nvmrc', 'node-version', 'engines'];
+    }
+
     /**
      * Get display name
      */
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const vscode = require('vscode');
+const BaseVersionManager = require('./base-manager');
+const CommandRunner = require('../utils/command-runner');
+const VersionSpec = require('../utils/version-spec');
+const WorkspaceHelper = require('../utils/workspace-helper');
+
+/**
+ * proto (moonrepo) version manager implementation
+ * https://moonrepo.dev/proto
+ */
+class ProtoManager extends BaseVersionManager {
+    constructor() {
+        super();
+        this.name = 'proto';
+        this.protoHome = process.env.PROTO_HOME || path.join(os.homedir(), '.proto');
+    }
+
+    /**
+     * Get common proto installation paths based on platform
+     */
+    getProtoPaths() {
+        const platform = os.platform();
+        const homeDir = os.homedir();
+        const paths = [];
+
+        if (platform === 'win32') {
+            // Windows paths
+            paths.push(
+                path.join(this.protoHome, 'bin', 'proto.exe'),
+                path.join(homeDir, '.proto', 'bin', 'proto.exe')
+            );
+        } else {
+            // Linux/macOS paths
+            paths.push(
+                path.join(this.protoHome, 'bin', 'proto'),
+                path.join(homeDir, '.proto', 'bin', 'proto'),
+                '/usr/local/bin/proto',
+                '/opt/homebrew/bin/proto'
+            );
+        }
+
+        return paths;
+    }
+
+    /**
+     * Detect if proto is installed
+     */
+    async detect() {
+        // Check if user has configured a custom path
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        const customPath = config.get('protoPath');
+
+        if (customPath && fs.existsSync(customPath)) {
+            this.command = customPath;
+            this.isAvailable = true;
+            return true;
+        }
+
+        // Try common paths
+        const paths = this.getProtoPaths();
+        for (const protoPath of paths) {
+            if (fs.existsSync(protoPath)) {
+                this.command = protoPath;
+                this.isAvailable = true;
+                return true;
+            }
+        }
+
+        // Try to find in PATH
+        const [foundPath] = await CommandRunner.findInPath('proto');
+        if (foundPath) {
+            this.command = foundPath;
+            this.isAvailable = true;
+            return true;
+        }
+
+        this.isAvailable = false;
+        return false;
+    }
+
+    /**
+     * Parse version lines from proto output, newest first
+     */
+    parseVersions(stdout) {
+        const versions = stdout
+            .split('\n')
+            .map(line => {
+                const match = line.trim().match(/^v?(\d+\.\d+\.\d+)/);
+                return match ? match[1] : null;
+            })
+            .filter(v => v);
+
+        // proto prints versions in ascending order
+        return VersionSpec.sort(versions);
+    }
+
+    /**
+     * Get list of installed Node versions
+     */
+    async getInstalledVersions() {
+        try {
+            const options = this.getWorkspaceOptions();
+            const { stdout } = await CommandRunner.run(this.command, ['list', 'node'], options);
+            return this.parseVersions(stdout);
+        } catch (error) {
+            console.error('Failed to get installed versions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the currently active Node version
+     * 'proto bin' resolves the version from .prototools and prints the binary path,
+     * e.g. ~/.proto/tools/node/20.10.0/bin/node
+     */
+    async getCurrentVersion(folderPath = null) {
+        try {
+            const options = this.getWorkspaceOptions(folderPath);
+            const { stdout } = await CommandRunner.run(this.command, ['bin', 'node'], options);
+            const match = stdout.match(/node[\\/]v?(\d+\.\d+\.\d+)[\\/]/);
+            return match ? match[1] : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Set/switch to a specific Node version
+     * Local scope pins to the workspace .prototools, global scope to ~/.proto/.prototools
+     */
+    async setVersion(version, scope = 'global', folderPath = null) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            const options = {};
+
+            if (scope === 'local') {
+                options.cwd = WorkspaceHelper.getLocalFolderPath(folderPath);
+                await CommandRunner.run(this.command, ['pin', 'node', cleanVersion, '--to', 'local'], options);
+            } else {
+                await CommandRunner.run(this.command, ['pin', 'node', cleanVersion, '--to', 'global'], options);
+            }
+
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to set node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Install a specific Node version
+     */
+    async installVersion(version, installOptions = {}) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            const options = this.getWorkspaceOptions();
+            await this.runInstallCommand(this.command, ['install', 'node', cleanVersion], options, installOptions);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to install node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uninstall a specific Node version
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            await CommandRunner.run(this.command, ['uninstall', 'node', cleanVersion], this.getWorkspaceOptions());
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get list of available Node versions that can be installed
+     */
+    async getAvailableVersions() {
+        try {
+            const { stdout } = await CommandRunner.run(this.command, ['list-remote', 'node']);
+            // Return latest 20 versions
+            return this.parseVersions(stdout).slice(0, 20);
+        } catch (error) {
+            console.error('Failed to get available versions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the directories an installed version may live in
+     */
+    getInstallDirs(version) {
+        return [path.join(this.protoHome, 'tools', 'node', version)];
+    }
+
+    /**
+     * Check if scope is supported
+     */
+    supportsScope() {
+        return true;
+    }
+
+    /**
+     * Get configuration file name
+     */
+    getConfigFileName() {
+        return '.prototools';
+    }
+
+    /**
+     * Get the project version files this manager understands
+     * proto's node plugin also detects .nvmrc, .node-version and package.json
+     */
+    getVersionFiles() {
+        return ['prototools', 'nvmrc', 'node-version', 'volta', 'engines'];
+    }
+
+    /**
+     * Get display name
+     */
+    getDisplayName() {
+        return 'proto';
+    }
+}
+
+module.exports = ProtoManager;
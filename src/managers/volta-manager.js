@@ -1,12 +1,12 @@
-const { exec } = require('child_process');
-const util = require('util');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const vscode = require('vscode');
 const BaseVersionManager = require('./base-manager');
-
-const execPromise = util.promisify(exec);
+const CommandRunner = require('../utils/command-runner');
+const VersionSpec = require('../utils/version-spec');
+const WorkspaceHelper = require('../utils/workspace-helper');
+const NodeReleases = require('../utils/node-releases');
 
 /**
  * Volta version manager implementation
@@ -56,7 +56,7 @@ class VoltaManager extends BaseVersionManager {
         const customPath = config.get('voltaPath');
 
         if (customPath && fs.existsSync(customPath)) {
-            this.command = `"${customPath}"`;
+            this.command = customPath;
             this.isAvailable = true;
             return true;
         }
@@ -65,50 +65,31 @@ class VoltaManager extends BaseVersionManager {
         const paths = this.getVoltaPaths();
         for (const voltaPath of paths) {
             if (fs.existsSync(voltaPath)) {
-                this.command = `"${voltaPath}"`;
+                this.command = voltaPath;
                 this.isAvailable = true;
                 return true;
             }
         }
 
         // Try to find in PATH
-        try {
-            const platform = os.platform();
-            const command = platform === 'win32' ? 'where volta' : 'which volta';
-            const { stdout } = await execPromise(command);
-            const foundPath = stdout.trim().split('\n')[0];
-            if (foundPath) {
-                this.command = `"${foundPath}"`;
-                this.isAvailable = true;
-                return true;
-            }
-        } catch (error) {
-            // Not in PATH
+        const [foundPath] = await CommandRunner.findInPath('volta');
+        if (foundPath) {
+            this.command = foundPath;
+            this.isAvailable = true;
+            return true;
         }
 
         this.isAvailable = false;
         return false;
     }
 
-    /**
-     * Get workspace options for command execution
-     */
-    getWorkspaceOptions() {
-        const options = {};
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (workspaceFolders && workspaceFolders.length > 0) {
-            options.cwd = workspaceFolders[0].uri.fsPath;
-        }
-        return options;
-    }
-
     /**
      * Get list of installed Node versions
      */
     async getInstalledVersions() {
         try {
             const options = this.getWorkspaceOptions();
-            const { stdout } = await execPromise(`${this.command} list --format plain`, options);
+            const { stdout } = await CommandRunner.run(this.command, ['list', '--format', 'plain'], options);
 
             // Parse output format:
             // runtime node@24.12.0 (current @ ...)
@@ -135,10 +116,10 @@ class VoltaManager extends BaseVersionManager {
     /**
      * Get the currently active Node version
      */
-    async getCurrentVersion() {
+    async getCurrentVersion(folderPath = null) {
         try {
-            const options = this.getWorkspaceOptions();
-            const { stdout } = await execPromise(`${this.command} list --current --format plain`, options);
+            const options = this.getWorkspaceOptions(folderPath);
+            const { stdout } = await CommandRunner.run(this.command, ['list', '--current', '--format', 'plain'], options);
 
             // Parse output to find Node version
             const lines = stdout.split('\n');
@@ -160,23 +141,19 @@ class VoltaManager extends BaseVersionManager {
     /**
      * Set/switch to a specific Node version
      */
-    async setVersion(version, scope = 'global') {
+    async setVersion(version, scope = 'global', folderPath = null) {
         try {
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
             const options = {};
 
             if (scope === 'local') {
                 // For local scope, use 'volta pin' which writes to package.json
-                const workspaceFolders = vscode.workspace.workspaceFolders;
-                if (!workspaceFolders || workspaceFolders.length === 0) {
-                    throw new Error('No workspace folder open. Please open a folder first.');
-                }
-                options.cwd = workspaceFolders[0].uri.fsPath;
-                await execPromise(`${this.command} pin node@${cleanVersion}`, options);
+                options.cwd = WorkspaceHelper.getLocalFolderPath(folderPath);
+                await CommandRunner.run(this.command, ['pin', `node@${cleanVersion}`], options);
             } else {
                 // For global scope, use 'volta install' which sets as default
-                await execPromise(`${this.command} install node@${cleanVersion}`, options);
+                await CommandRunner.run(this.command, ['install', `node@${cleanVersion}`], options);
             }
 
             return true;
@@ -187,60 +164,74 @@ class VoltaManager extends BaseVersionManager {
 
     /**
      * Install a specific Node version
+     * Volta has no mirror variable, it downloads from the node hooks users set up in their own hooks.json
      */
-    async installVersion(version) {
+    async installVersion(version, installOptions = {}) {
         try {
-            // Remove 'v' prefix if present
-            const cleanVersion = version.replace(/^v/, '');
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
             const options = this.getWorkspaceOptions();
-            await execPromise(`${this.command} install node@${cleanVersion}`, options);
+            await this.runInstallCommand(this.command, ['install', `node@${cleanVersion}`], options, installOptions);
             return true;
         } catch (error) {
             throw new Error(`Failed to install node version: ${error.message}`);
         }
     }
 
+    /**
+     * Uninstall a specific Node version
+     * volta uninstall only handles packages, so the version's image directory is removed directly
+     */
+    async uninstallVersion(version) {
+        try {
+            // Validate and remove 'v' prefix if present
+            const cleanVersion = VersionSpec.clean(version);
+            const imageDir = this.getInstallDirs(cleanVersion)[0];
+            if (!fs.existsSync(imageDir)) {
+                throw new Error(`Node ${cleanVersion} is not installed`);
+            }
+            fs.rmSync(imageDir, { recursive: true, force: true });
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to uninstall node version: ${error.message}`);
+        }
+    }
+
     /**
      * Get list of available Node versions that can be installed
      * Volta doesn't provide a list command, so we fetch from Node.js API
      */
     async getAvailableVersions() {
         try {
-            const https = require('https');
-
-            return new Promise((resolve, reject) => {
-                https.get('https://nodejs.org/dist/index.json', (res) => {
-                    let data = '';
-
-                    res.on('data', (chunk) => {
-                        data += chunk;
-                    });
-
-                    res.on('end', () => {
-                        try {
-                            const releases = JSON.parse(data);
-                            // Filter for LTS versions and get latest 20
-                            const versions = releases
-                                .filter(release => release.lts)
-                                .map(release => release.version.replace(/^v/, ''))
-                                .slice(0, 20);
-                            resolve(versions);
-                        } catch (error) {
-                            console.error('Failed to parse Node.js releases:', error);
-                            resolve([]);
-                        }
-                    });
-                }).on('error', (error) => {
-                    console.error('Failed to fetch available versions:', error);
-                    resolve([]);
-                });
-            });
+            const releases = await NodeReleases.fetchIndex();
+            // Filter for LTS versions and get latest 20
+            return releases
+                .filter(release => release.lts)
+                .map(release => release.version)
+                .slice(0, 20);
         } catch (error) {
             console.error('Failed to get available versions:', error);
             return [];
         }
     }
 
+    /**
+     * Get the directories an installed version may live in
+     */
+    getInstallDirs(version) {
+        return [path.join(this.voltaHome, 'tools', 'image', 'node', version)];
+    }
+
+    /**
+     * Include the downloaded archives in the inventory (e.g. node-v20.10.0-linux-x64.tar.gz)
+     */
+    getInstallArtifacts(version) {
+        return [
+            ...this.getInstallDirs(version),
+            ...this.findEntries(path.join(this.voltaHome, 'tools', 'inventory', 'node'), `node-v${version}-`)
+        ];
+    }
+
     /**
      * Check if scope is supported
      */
@@ -255,6 +246,14 @@ class VoltaManager extends BaseVersionManager {
         return 'package.json';
     }
 
+    /**
+     * Get the project version files this manager understands
+     * Volta pins live in package.json
+     */
+    getVersionFiles() {
+        return ['volta', 'engines'];
+    }
+
     /**
      * Get display name
      */
@@ -0,0 +1,409 @@
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+const CommandRunner = require('./utils/command-runner');
+const NodeRuntime = require('./utils/node-runtime');
+const VersionSpec = require('./utils/version-spec');
+const WorkspaceHelper = require('./utils/workspace-helper');
+
+const MATRIX_SETTING = 'scriptMatrix';
+
+/**
+ * Runs a package.json script under several installed Node versions
+ * Each version streams to its own output channel, and a pass/fail table is written when all have finished.
+ * The global and project versions are never changed, each run only gets the version's bin directory first on PATH
+ */
+class MatrixRunner {
+    constructor(detector) {
+        this.detector = detector;
+        // Output channels by version, reused across runs
+        this.channels = new Map();
+        this.summaryChannel = null;
+        this.running = false;
+    }
+
+    /**
+     * Register the matrix command
+     */
+    register(context) {
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.runScriptMatrix', () => this.runScriptMatrix()),
+            this
+        );
+    }
+
+    /**
+     * Run Script Across Versions command
+     */
+    async runScriptMatrix() {
+        if (this.running) {
+            vscode.window.showInformationMessage('A script matrix is already running');
+            return;
+        }
+
+        const manager = this.detector.getActiveManager();
+        if (!manager) {
+            await this.detector.showNoManagerError();
+            return;
+        }
+
+        this.running = true;
+        try {
+            const matrix = await this.pickMatrix(manager);
+            if (!matrix) {
+                return;
+            }
+
+            const targets = await this.resolveVersions(manager, matrix);
+            const results = await this.runMatrix(manager, matrix, targets);
+            await this.showSummary(matrix, results);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to run script matrix: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Ask for the folder, then either the saved matrix or new versions, script and mode
+     * @returns {Promise<object|null>} {folderPath, script, versions, parallel, saved}, or null if cancelled
+     */
+    async pickMatrix(manager) {
+        const folderPath = await WorkspaceHelper.pickFolderPath('Select the folder to run the script in');
+        if (folderPath === undefined) {
+            return null;
+        }
+        if (folderPath === null) {
+            throw new Error('No workspace folder open. Please open a folder first.');
+        }
+
+        const saved = this.getSavedMatrix(folderPath);
+        if (saved) {
+            const choice = await vscode.window.showQuickPick([
+                {
+                    label: '$(play) Run Saved Matrix',
+                    description: `npm run ${saved.script} on Node ${saved.versions.join(', ')}`,
+                    saved: true
+                },
+                {
+                    label: '$(settings-gear) Configure New Matrix...',
+                    saved: false
+                }
+            ], {
+                placeHolder: 'Run the matrix saved in workspace settings?'
+            });
+            if (!choice) {
+                return null;
+            }
+            if (choice.saved) {
+                return { folderPath, ...saved, saved: true };
+            }
+        }
+
+        const scripts = this.readScripts(folderPath);
+        const scriptNames = Object.keys(scripts);
+        if (scriptNames.length === 0) {
+            throw new Error(`No scripts found in ${path.join(folderPath, 'package.json')}`);
+        }
+
+        const installedVersions = VersionSpec.sort(
+            (await manager.getInstalledVersions()).map(version => String(version).replace(/^v/, ''))
+        );
+        if (installedVersions.length === 0) {
+            throw new Error('No Node versions installed');
+        }
+
+        const selectedVersions = await vscode.window.showQuickPick(
+            installedVersions.map(version => ({ label: version, version })),
+            {
+                placeHolder: 'Select the Node versions to run the script with',
+                canPickMany: true
+            }
+        );
+        if (!selectedVersions || selectedVersions.length === 0) {
+            return null;
+        }
+
+        const selectedScript = await vscode.window.showQuickPick(
+            scriptNames.map(name => ({ label: name, detail: scripts[name] })),
+            { placeHolder: 'Select a script to run' }
+        );
+        if (!selectedScript) {
+            return null;
+        }
+
+        let parallel = false;
+        if (selectedVersions.length > 1) {
+            const mode = await vscode.window.showQuickPick([
+                { label: 'Sequential', description: 'Run one version after another', parallel: false },
+                { label: 'Parallel', description: 'Run all versions at the same time', parallel: true }
+            ], {
+                placeHolder: 'How should the versions run?'
+            });
+            if (!mode) {
+                return null;
+            }
+            parallel = mode.parallel;
+        }
+
+        return {
+            folderPath,
+            script: selectedScript.label,
+            versions: selectedVersions.map(item => item.version),
+            parallel,
+            saved: false
+        };
+    }
+
+    /**
+     * Read the scripts of a folder's package.json
+     */
+    readScripts(folderPath) {
+        const packageJsonPath = path.join(folderPath, 'package.json');
+        if (!fs.existsSync(packageJsonPath)) {
+            throw new Error(`No package.json found in ${folderPath}`);
+        }
+
+        const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        return pkg.scripts && typeof pkg.scripts === 'object' ? pkg.scripts : {};
+    }
+
+    /**
+     * Get the matrix saved in a folder's settings, ignoring incomplete entries
+     */
+    getSavedMatrix(folderPath) {
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher', vscode.Uri.file(folderPath));
+        const saved = config.get(MATRIX_SETTING, null);
+        if (!saved || typeof saved.script !== 'string' || !Array.isArray(saved.versions) || saved.versions.length === 0) {
+            return null;
+        }
+
+        return {
+            script: saved.script,
+            versions: saved.versions.map(String),
+            parallel: Boolean(saved.parallel)
+        };
+    }
+
+    /**
+     * Save a matrix to the folder's workspace settings
+     */
+    async saveMatrix(matrix) {
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher', vscode.Uri.file(matrix.folderPath));
+        await config.update(MATRIX_SETTING, {
+            script: matrix.script,
+            versions: matrix.versions,
+            parallel: matrix.parallel
+        }, vscode.ConfigurationTarget.WorkspaceFolder);
+    }
+
+    /**
+     * Resolve the matrix versions before anything runs, so install prompts don't interleave with parallel runs
+     * Saved matrices may use specs (e.g. "18"), which are resolved against the installed versions.
+     * Specs resolving to the same version (e.g. "18" and "18.20.8") run once, they would share an output channel
+     * @returns {Promise<object[]>} {spec, version, error} per matrix entry, version is null if skipped or failed
+     */
+    async resolveVersions(manager, matrix) {
+        const targets = [];
+        for (const spec of matrix.versions) {
+            try {
+                const version = await NodeRuntime.ensureInstalled(manager, spec, 'the script matrix');
+                if (version && targets.some(target => target.version === version)) {
+                    continue;
+                }
+                targets.push({ spec, version, error: null });
+            } catch (error) {
+                targets.push({ spec, version: null, error: error.message });
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * Run the script under every resolved version of the matrix
+     * @returns {Promise<object[]>} One result per version, in matrix order
+     */
+    async runMatrix(manager, matrix, targets) {
+        return await vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Notification,
+                title: `Running npm run ${matrix.script}`,
+                cancellable: true
+            },
+            async (progress, token) => {
+                const total = targets.length;
+                let finished = 0;
+                const runOne = async (target) => {
+                    const result = await this.runVersion(manager, matrix, target, token);
+                    finished++;
+                    progress.report({
+                        message: `${finished}/${total} done`,
+                        increment: 100 / total
+                    });
+                    return result;
+                };
+
+                if (matrix.parallel) {
+                    return await Promise.all(targets.map(runOne));
+                }
+
+                const results = [];
+                for (const target of targets) {
+                    results.push(await runOne(target));
+                }
+                return results;
+            }
+        );
+    }
+
+    /**
+     * Run the script under one version, streaming to the version's output channel
+     * Cancelling the progress notification kills the running script; versions still waiting are not started
+     */
+    async runVersion(manager, matrix, target, token) {
+        const { spec, version, error } = target;
+        const result = { spec, version, status: 'fail', code: null, duration: 0, error };
+        if (!version) {
+            // Unresolvable specs fail, declined installs are skipped
+            result.status = error ? 'fail' : 'skipped';
+            return result;
+        }
+        if (token.isCancellationRequested) {
+            result.status = 'cancelled';
+            return result;
+        }
+
+        const started = Date.now();
+
+        const channel = this.getChannel(version);
+        channel.clear();
+        if (!matrix.parallel) {
+            channel.show(true);
+        }
+        channel.appendLine(`> npm run ${matrix.script}`);
+        channel.appendLine(`  Node ${version} (${manager.getDisplayName()}) in ${matrix.folderPath}`);
+        channel.appendLine('');
+
+        try {
+            const binDir = NodeRuntime.getBinDir(manager, version);
+            const npmPath = manager.getToolPath(version, 'npm') || 'npm';
+            const { code, signal, cancelled } = await CommandRunner.spawn(npmPath, ['run', matrix.script], {
+                cwd: matrix.folderPath,
+                env: NodeRuntime.prependPath({ ...process.env }, binDir),
+                onOutput: text => channel.append(text),
+                token
+            });
+
+            result.code = code;
+            result.status = cancelled ? 'cancelled' : (code === 0 ? 'pass' : 'fail');
+            channel.appendLine('');
+            if (cancelled) {
+                channel.appendLine('Cancelled');
+            } else {
+                channel.appendLine(signal ? `Terminated by ${signal}` : `Exited with code ${code}`);
+            }
+        } catch (runError) {
+            result.error = runError.message;
+            channel.appendLine('');
+            channel.appendLine(`Failed to run script: ${runError.message}`);
+        }
+
+        result.duration = Date.now() - started;
+        return result;
+    }
+
+    /**
+     * Get the output channel for a version
+     */
+    getChannel(version) {
+        if (!this.channels.has(version)) {
+            this.channels.set(version, vscode.window.createOutputChannel(`Node Matrix: ${version}`));
+        }
+        return this.channels.get(version);
+    }
+
+    /**
+     * Write the pass/fail table and report the outcome
+     */
+    async showSummary(matrix, results) {
+        if (!this.summaryChannel) {
+            this.summaryChannel = vscode.window.createOutputChannel('Node Matrix: Summary');
+        }
+
+        const channel = this.summaryChannel;
+        channel.clear();
+        channel.appendLine(`npm run ${matrix.script} in ${matrix.folderPath} (${matrix.parallel ? 'parallel' : 'sequential'})`);
+        channel.appendLine('');
+        for (const line of this.formatTable(results)) {
+            channel.appendLine(line);
+        }
+        channel.show(true);
+
+        const passed = results.filter(result => result.status === 'pass').length;
+        const failed = results.filter(result => result.status === 'fail').length;
+        const cancelled = results.filter(result => result.status === 'cancelled').length;
+        const skipped = results.length - passed - failed - cancelled;
+        const message = `npm run ${matrix.script}: ${passed} passed, ${failed} failed` +
+            (skipped > 0 ? `, ${skipped} skipped` : '') +
+            (cancelled > 0 ? `, ${cancelled} cancelled` : '');
+
+        const actions = matrix.saved ? [] : ['Save Matrix'];
+        const action = failed > 0
+            ? await vscode.window.showWarningMessage(message, ...actions)
+            : await vscode.window.showInformationMessage(message, ...actions);
+
+        if (action === 'Save Matrix') {
+            await this.saveMatrix(matrix);
+            vscode.window.showInformationMessage('Script matrix saved to workspace settings');
+        }
+    }
+
+    /**
+     * Format results as an aligned plain-text table
+     */
+    formatTable(results) {
+        const rows = [['Version', 'Result', 'Exit', 'Time']];
+        for (const result of results) {
+            const version = result.version && result.version !== result.spec
+                ? `${result.version} (${result.spec})`
+                : (result.version || result.spec);
+            rows.push([
+                version,
+                result.status.toUpperCase(),
+                result.code === null ? '-' : String(result.code),
+                result.duration ? `${(result.duration / 1000).toFixed(1)}s` : '-'
+            ]);
+        }
+
+        const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+        const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+        const lines = [
+            format(rows[0]),
+            widths.map(width => '-'.repeat(width)).join('  '),
+            ...rows.slice(1).map(format)
+        ];
+
+        const errors = results.filter(result => result.error);
+        if (errors.length > 0) {
+            lines.push('');
+            errors.forEach(result => lines.push(`${result.version || result.spec}: ${result.error}`));
+        }
+        return lines;
+    }
+
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        for (const channel of this.channels.values()) {
+            channel.dispose();
+        }
+        this.channels.clear();
+        if (this.summaryChannel) {
+            this.summaryChannel.dispose();
+            this.summaryChannel = null;
+        }
+    }
+}
+
+module.exports = MatrixRunner;
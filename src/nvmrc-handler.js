@@ -1,112 +1,58 @@
-const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
+const VersionFileRegistry = require('./version-file-registry');
+const VersionSpec = require('./utils/version-spec');
+const NodeReleases = require('./utils/node-releases');
+const InstallRunner = require('./utils/install-runner');
+
+// Saving a file can fire several change events, and npm writes many files at once
+const DEBOUNCE_MS = 500;
 
 /**
- * Handler for .nvmrc file and Volta package.json detection and automatic version switching
+ * Handler for project version files (.nvmrc, .node-version, .tool-versions, mise.toml, .prototools,
+ * package.json, .npmrc) detection and automatic version switching
  */
 class NvmrcHandler {
-    constructor(versionManager) {
+    constructor(versionManager, registry = VersionFileRegistry.createDefault()) {
         this.versionManager = versionManager;
-        this.fileWatcher = null;
+        this.registry = registry;
+        // Watchers per workspace folder path, multi-root workspaces get one each
+        this.fileWatchers = new Map();
+        // Debounce timers per directory with a changed version file
+        this.pendingChanges = new Map();
     }
 
     /**
-     * Find .nvmrc file by traversing up the directory tree
-     */
-    findNvmrc(startDir) {
-        let currentDir = startDir;
-        const root = path.parse(currentDir).root;
-
-        while (currentDir !== root) {
-            const nvmrcPath = path.join(currentDir, '.nvmrc');
-            if (fs.existsSync(nvmrcPath)) {
-                return nvmrcPath;
-            }
-            currentDir = path.dirname(currentDir);
-        }
-
-        return null;
-    }
-
-    /**
-     * Read .nvmrc file content
-     * Supports formats: 20, v20, 20.10.0, lts/iron
-     */
-    readNvmrc(nvmrcPath) {
-        try {
-            const content = fs.readFileSync(nvmrcPath, 'utf8').trim();
-            // Remove 'v' prefix if present
-            return content.replace(/^v/, '');
-        } catch (error) {
-            console.error('Failed to read .nvmrc:', error);
-            return null;
-        }
-    }
-
-    /**
-     * Find package.json with Volta configuration by traversing up the directory tree
+     * Check if current version matches the .nvmrc version
+     * Handles partial versions ("20" matches 20.10.0 but not 2.x), lts aliases and semver ranges
      */
-    findVoltaConfig(startDir) {
-        let currentDir = startDir;
-        const root = path.parse(currentDir).root;
-
-        while (currentDir !== root) {
-            const packageJsonPath = path.join(currentDir, 'package.json');
-            if (fs.existsSync(packageJsonPath)) {
-                try {
-                    const content = fs.readFileSync(packageJsonPath, 'utf8');
-                    const packageJson = JSON.parse(content);
-                    // Check if it has volta configuration
-                    if (packageJson.volta && packageJson.volta.node) {
-                        return packageJsonPath;
-                    }
-                } catch (error) {
-                    // Invalid JSON or read error, continue searching
-                }
-            }
-            currentDir = path.dirname(currentDir);
+    async isVersionMatching(nvmrcVersion, installedVersions = [], folderPath = null) {
+        const currentVersion = await this.versionManager.getCurrentVersion(folderPath);
+        if (!currentVersion) {
+            return false;
         }
 
-        return null;
+        return VersionSpec.satisfies(currentVersion, nvmrcVersion, { installed: installedVersions });
     }
 
     /**
-     * Read Volta configuration from package.json
+     * Resolve a version spec to the best installed version, or the newest matching release
+     * @returns {Promise<{version: string, installed: boolean}|null>}
      */
-    readVoltaConfig(packageJsonPath) {
-        try {
-            const content = fs.readFileSync(packageJsonPath, 'utf8');
-            const packageJson = JSON.parse(content);
-
-            if (packageJson.volta && packageJson.volta.node) {
-                // Remove 'v' prefix if present
-                return packageJson.volta.node.replace(/^v/, '');
-            }
-
-            return null;
-        } catch (error) {
-            console.error('Failed to read Volta config from package.json:', error);
-            return null;
+    async resolveVersion(spec, installedVersions) {
+        const resolved = VersionSpec.resolve(spec, installedVersions);
+        if (resolved) {
+            return resolved;
         }
-    }
 
-    /**
-     * Check if current version matches the .nvmrc version
-     */
-    async isVersionMatching(nvmrcVersion) {
-        const currentVersion = await this.versionManager.getCurrentVersion();
-        if (!currentVersion) {
-            return false;
-        }
-
-        // Check if current version starts with the nvmrc version
-        // This handles cases like .nvmrc has "20" and current is "20.10.0"
-        return currentVersion.startsWith(nvmrcVersion);
+        const releases = await NodeReleases.getReleases(this.versionManager);
+        return VersionSpec.resolve(spec, installedVersions, releases);
     }
 
     /**
-     * Automatically apply .nvmrc or Volta package.json when opening workspace
+     * Automatically apply the project's version file when opening workspace
+     * Files are looked up through the registry, package.json engines.node is the fallback
+     * @param {string} workspaceFolder - Workspace folder, or a package directory inside it whose version file changed
      */
     async autoApplyNvmrc(workspaceFolder) {
         const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
@@ -117,49 +63,75 @@ class NvmrcHandler {
             return;
         }
 
-        let version = null;
-        let configSource = null;
-        let configPath = null;
-
-        // Check if using Volta
-        const isVolta = this.versionManager.name === 'volta';
-
-        if (isVolta) {
-            // For Volta, check package.json first
-            configPath = this.findVoltaConfig(workspaceFolder);
-            if (configPath) {
-                version = this.readVoltaConfig(configPath);
-                configSource = 'package.json (Volta)';
-            }
-        } else {
-            // For nvm/mise, check .nvmrc
-            configPath = this.findNvmrc(workspaceFolder);
-            if (configPath) {
-                version = this.readNvmrc(configPath);
-                configSource = '.nvmrc';
-            }
-        }
-
-        if (!configPath) {
+        const found = this.registry.find(workspaceFolder, this.versionManager);
+        if (!found) {
             console.log('No version configuration file found');
             return;
         }
 
-        if (!version) {
-            console.log('Failed to read version from configuration');
+        const { version, filePath: configPath, source: configSource } = found;
+        // engines.node is a requirement rather than a pin, it is resolved to a concrete version below
+        const isRequirement = Boolean(found.reader.requirement);
+
+        // Project files come from cloned repositories, only accept recognised version specs
+        if (!VersionSpec.isSupported(version)) {
+            console.warn(`Ignoring invalid version ${JSON.stringify(version)} in ${configPath}`);
             return;
         }
 
         // Check if current version already matches
-        const isMatching = await this.isVersionMatching(version);
+        const installedVersions = await this.versionManager.getInstalledVersions();
+        const isMatching = await this.isVersionMatching(version, installedVersions, workspaceFolder);
         if (isMatching) {
             console.log(`${configSource} version ${version} already active`);
             return;
         }
 
+        const resolved = await this.resolveVersion(version, installedVersions);
+        if (!resolved && !VersionSpec.isValid(version)) {
+            vscode.window.showWarningMessage(`No Node release matches ${version} from ${configSource}`);
+            return;
+        }
+
+        if (isRequirement && !resolved) {
+            vscode.window.showWarningMessage(`No Node release satisfies ${version} from ${configSource}`);
+            return;
+        }
+
+        // Specs the manager understands are passed on unchanged so files like .nvmrc keep their content,
+        // ranges and engines requirements are replaced by the resolved version
+        const target = VersionSpec.isValid(version) && !isRequirement ? version : resolved.version;
+        const prompt = isRequirement
+            ? `${configSource} requires Node ${version}`
+            : `Found ${configSource} specifying Node ${version}`;
+        const missing = isRequirement ? 'and no installed version satisfies it' : 'which is not installed';
+
+        if (resolved && !resolved.installed) {
+            const install = await vscode.window.showInformationMessage(
+                `${prompt}, ${missing}. Install Node ${resolved.version} and switch to it?`,
+                'Install',
+                'No'
+            );
+
+            if (install === 'Install') {
+                try {
+                    const installed = await InstallRunner.install(this.versionManager, resolved.version);
+                    if (!installed) {
+                        return;
+                    }
+                    await this.versionManager.setVersion(target, 'local', workspaceFolder);
+                    vscode.window.showInformationMessage(`Installed and switched to Node ${resolved.version} from ${configSource}`);
+                } catch (error) {
+                    vscode.window.showErrorMessage(`Failed to apply version: ${error.message}`);
+                }
+            }
+            return;
+        }
+
         // Ask user if they want to switch
+        const switchTo = resolved && resolved.version !== version ? `Node ${resolved.version}` : 'this version';
         const action = await vscode.window.showInformationMessage(
-            `Found ${configSource} specifying Node ${version}. Switch to this version?`,
+            `${prompt}. Switch to ${switchTo}?`,
             'Yes',
             'No',
             'Always'
@@ -167,8 +139,8 @@ class NvmrcHandler {
 
         if (action === 'Yes' || action === 'Always') {
             try {
-                await this.versionManager.setVersion(version, 'local');
-                vscode.window.showInformationMessage(`Switched to Node ${version} from ${configSource}`);
+                await this.versionManager.setVersion(target, 'local', workspaceFolder);
+                vscode.window.showInformationMessage(`Switched to Node ${resolved ? resolved.version : version} from ${configSource}`);
 
                 if (action === 'Always') {
                     // Update config to always auto-apply
@@ -184,56 +156,69 @@ class NvmrcHandler {
     }
 
     /**
-     * Watch .nvmrc or package.json file for changes
+     * Watch every version file the manager understands for changes in a workspace folder
      */
     watchNvmrc(workspaceFolder) {
-        if (this.fileWatcher) {
-            this.fileWatcher.dispose();
-        }
-
-        // Check if using Volta
-        const isVolta = this.versionManager.name === 'volta';
+        this.unwatchNvmrc(workspaceFolder);
 
-        // Watch appropriate file based on version manager
-        const pattern = isVolta
-            ? new vscode.RelativePattern(workspaceFolder, '**/package.json')
-            : new vscode.RelativePattern(workspaceFolder, '**/.nvmrc');
+        const pattern = new vscode.RelativePattern(workspaceFolder, this.registry.getWatchGlob(this.versionManager));
+        const fileWatcher = vscode.workspace.createFileSystemWatcher(pattern);
+        this.fileWatchers.set(workspaceFolder, fileWatcher);
 
-        this.fileWatcher = vscode.workspace.createFileSystemWatcher(pattern);
-
-        this.fileWatcher.onDidCreate(async (uri) => {
-            console.log('Config file created:', uri.fsPath);
-            await this.autoApplyNvmrc(workspaceFolder);
-        });
+        const onVersionFile = (uri) => {
+            // Dependencies' package.json files (engines.node) change by the hundred during npm install
+            if (uri.fsPath.split(path.sep).includes('node_modules')) {
+                return;
+            }
 
-        this.fileWatcher.onDidChange(async (uri) => {
-            console.log('Config file changed:', uri.fsPath);
-            // For package.json, only react if it has Volta config
-            if (isVolta) {
-                const hasVoltaConfig = this.readVoltaConfig(uri.fsPath);
-                if (hasVoltaConfig) {
-                    await this.autoApplyNvmrc(workspaceFolder);
+            // Apply for the directory of the changed file, a nested package's file doesn't apply to the root
+            const dir = path.dirname(uri.fsPath);
+            clearTimeout(this.pendingChanges.get(dir));
+            this.pendingChanges.set(dir, setTimeout(() => {
+                this.pendingChanges.delete(dir);
+                // Shared files like package.json and .npmrc only matter if they hold a version
+                if (this.registry.hasVersion(uri.fsPath, this.versionManager)) {
+                    console.log('Version file changed:', uri.fsPath);
+                    this.autoApplyNvmrc(dir).catch(error => {
+                        console.error('Failed to apply version file:', error);
+                    });
                 }
-            } else {
-                await this.autoApplyNvmrc(workspaceFolder);
-            }
-        });
+            }, DEBOUNCE_MS));
+        };
+
+        fileWatcher.onDidCreate(onVersionFile);
+        fileWatcher.onDidChange(onVersionFile);
 
-        this.fileWatcher.onDidDelete((uri) => {
+        fileWatcher.onDidDelete((uri) => {
             console.log('Config file deleted:', uri.fsPath);
         });
 
-        return this.fileWatcher;
+        return fileWatcher;
+    }
+
+    /**
+     * Stop watching a workspace folder, e.g. when it is removed from the workspace
+     */
+    unwatchNvmrc(workspaceFolder) {
+        const fileWatcher = this.fileWatchers.get(workspaceFolder);
+        if (fileWatcher) {
+            fileWatcher.dispose();
+            this.fileWatchers.delete(workspaceFolder);
+        }
     }
 
     /**
      * Dispose resources
      */
     dispose() {
-        if (this.fileWatcher) {
-            this.fileWatcher.dispose();
-            this.fileWatcher = null;
+        for (const fileWatcher of this.fileWatchers.values()) {
+            fileWatcher.dispose();
+        }
+        this.fileWatchers.clear();
+        for (const timer of this.pendingChanges.values()) {
+            clearTimeout(timer);
         }
+        this.pendingChanges.clear();
     }
 }
 
@@ -0,0 +1,231 @@
+const path = require('path');
+const vscode = require('vscode');
+const VersionSpec = require('./utils/version-spec');
+const InstallRunner = require('./utils/install-runner');
+const WorkspaceHelper = require('./utils/workspace-helper');
+
+const IGNORED_PACKAGES_KEY = 'fastNodeSwitcher.ignoredPackages';
+const DEBOUNCE_MS = 500;
+
+/**
+ * Tracks the version file closest to the active editor, so nested packages in a monorepo
+ * (e.g. packages/legacy-api/.nvmrc) are followed as the user moves between files
+ */
+class PackageVersionTracker {
+    constructor(statusBarManager, workspaceState) {
+        this.statusBarManager = statusBarManager;
+        this.workspaceState = workspaceState;
+        this.nvmrcHandler = null;
+        this.timer = null;
+        // Version file of the package the user was last in, prompts only happen when it changes
+        this.currentFile = null;
+    }
+
+    /**
+     * Use the handler of the active version manager
+     */
+    setHandler(nvmrcHandler) {
+        this.nvmrcHandler = nvmrcHandler;
+        this.currentFile = null;
+    }
+
+    /**
+     * Handle an active editor change, debounced so quickly flipping through files doesn't prompt
+     */
+    onActiveEditorChanged(editor) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.refresh(editor).catch(error => {
+                console.error('Failed to follow package version:', error);
+            });
+        }, DEBOUNCE_MS);
+    }
+
+    /**
+     * Resolve the version file for the editor's package, update the status bar and offer a switch
+     * @param {object} editor - Active text editor
+     * @param {boolean} prompt - Whether to offer a switch when the active version doesn't match
+     */
+    async refresh(editor, prompt = true) {
+        const found = this.findForEditor(editor);
+        if (!found) {
+            this.currentFile = null;
+            this.statusBarManager.setRequirement(null);
+            await this.statusBarManager.update();
+            return;
+        }
+
+        const requirement = {
+            version: found.version,
+            source: found.source,
+            filePath: found.filePath,
+            folderPath: this.getTargetFolder(found.filePath),
+            label: this.getPackageLabel(found.filePath)
+        };
+        this.statusBarManager.setRequirement(requirement);
+        await this.statusBarManager.update();
+
+        // Moving between files of the same package doesn't ask again
+        const isNewPackage = found.filePath !== this.currentFile;
+        this.currentFile = found.filePath;
+        if (!prompt || !isNewPackage || this.isIgnored(found.filePath)) {
+            return;
+        }
+
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        if (!config.get('autoApplyNvmrc', true) || !VersionSpec.isSupported(found.version)) {
+            return;
+        }
+
+        await this.offerSwitch(found, requirement);
+    }
+
+    /**
+     * Find the version file closest to the editor's document
+     */
+    findForEditor(editor) {
+        if (!this.nvmrcHandler || !editor || !editor.document || editor.document.uri.scheme !== 'file') {
+            return null;
+        }
+
+        const filePath = editor.document.uri.fsPath;
+        // Only follow files that belong to the workspace
+        if (!WorkspaceHelper.getFolderPaths().some(folder => this.isInside(filePath, folder))) {
+            return null;
+        }
+
+        return this.nvmrcHandler.registry.find(path.dirname(filePath), this.nvmrcHandler.versionManager);
+    }
+
+    /**
+     * Offer to switch when the active version doesn't satisfy the package's version file
+     */
+    async offerSwitch(found, requirement) {
+        const manager = this.nvmrcHandler.versionManager;
+        const installedVersions = await manager.getInstalledVersions();
+        const isMatching = await this.nvmrcHandler.isVersionMatching(found.version, installedVersions, requirement.folderPath);
+        if (isMatching) {
+            return;
+        }
+
+        const currentVersion = await manager.getCurrentVersion(requirement.folderPath);
+        const active = currentVersion ? `Node ${currentVersion} is active` : 'no Node version is active';
+        const action = await vscode.window.showInformationMessage(
+            `${requirement.label} requires Node ${found.version} (${found.source}), but ${active}. Switch?`,
+            'Switch',
+            'Don\'t Ask Again for This Package'
+        );
+
+        if (action === 'Switch') {
+            try {
+                const resolved = await this.nvmrcHandler.resolveVersion(found.version, installedVersions);
+                if (!resolved) {
+                    vscode.window.showWarningMessage(`No Node release matches ${found.version} from ${found.source}`);
+                    return;
+                }
+
+                if (!resolved.installed && !(await InstallRunner.install(manager, resolved.version))) {
+                    return;
+                }
+
+                const context = { installed: [...installedVersions, resolved.version] };
+                const satisfies = version => Boolean(version) && VersionSpec.satisfies(version, found.version, context);
+
+                // When the manager already reads the package's version file, installing was all it took;
+                // writing another version file would leave a stray file in the package
+                let activeVersion = await manager.getCurrentVersion(requirement.folderPath);
+                if (!satisfies(activeVersion)) {
+                    // Pin specs the manager understands unchanged, ranges and requirements are resolved
+                    const target = VersionSpec.isValid(found.version) && !found.reader.requirement
+                        ? found.version
+                        : resolved.version;
+                    await manager.setVersion(target, 'local', requirement.folderPath);
+                    activeVersion = await manager.getCurrentVersion(requirement.folderPath);
+                }
+
+                await this.statusBarManager.update();
+                if (satisfies(activeVersion)) {
+                    vscode.window.showInformationMessage(`Switched to Node ${activeVersion} for ${requirement.label}`);
+                } else {
+                    vscode.window.showWarningMessage(
+                        `${manager.getDisplayName()} still uses ${activeVersion ? `Node ${activeVersion}` : 'no Node version'} ` +
+                        `for ${requirement.label}, which doesn't satisfy ${found.version} from ${found.source}`
+                    );
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`Failed to apply version: ${error.message}`);
+            }
+        } else if (action === 'Don\'t Ask Again for This Package') {
+            await this.ignore(found.filePath);
+        }
+    }
+
+    /**
+     * Get the folder a package's version is pinned in
+     * Version files above the workspace (e.g. in the home directory) fall back to the workspace folder
+     */
+    getTargetFolder(versionFilePath) {
+        const dir = path.dirname(versionFilePath);
+        if (WorkspaceHelper.getFolderPaths().some(folder => this.isInside(dir, folder))) {
+            return dir;
+        }
+        return WorkspaceHelper.getActiveFolderPath();
+    }
+
+    /**
+     * Get a readable package name, e.g. "packages/legacy-api"
+     */
+    getPackageLabel(versionFilePath) {
+        const dir = path.dirname(versionFilePath);
+        const folder = WorkspaceHelper.getFolderPaths().find(f => this.isInside(dir, f));
+        if (!folder) {
+            return path.basename(dir);
+        }
+        return path.relative(folder, dir).split(path.sep).join('/') || path.basename(folder);
+    }
+
+    /**
+     * Check if a path is inside (or equal to) a folder
+     */
+    isInside(filePath, folder) {
+        const relative = path.relative(folder, filePath);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    /**
+     * Check if the user asked not to be prompted for a package
+     */
+    isIgnored(versionFilePath) {
+        const ignored = this.workspaceState ? this.workspaceState.get(IGNORED_PACKAGES_KEY, []) : [];
+        return ignored.includes(path.dirname(versionFilePath));
+    }
+
+    /**
+     * Remember not to prompt for a package in this workspace
+     */
+    async ignore(versionFilePath) {
+        if (!this.workspaceState) {
+            return;
+        }
+        const ignored = this.workspaceState.get(IGNORED_PACKAGES_KEY, []);
+        const dir = path.dirname(versionFilePath);
+        if (!ignored.includes(dir)) {
+            await this.workspaceState.update(IGNORED_PACKAGES_KEY, [...ignored, dir]);
+        }
+    }
+
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = PackageVersionTracker;
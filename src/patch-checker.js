@@ -0,0 +1,402 @@
+const vscode = require('vscode');
+const VersionFileRegistry = require('./version-file-registry');
+const VersionSpec = require('./utils/version-spec');
+const NodeReleases = require('./utils/node-releases');
+const InstallRunner = require('./utils/install-runner');
+
+const INTERVAL_SETTING = 'patchCheckInterval';
+
+// globalState keys: when the last scheduled check ran, and the releases it already notified about
+const LAST_CHECK_KEY = 'fastNodeSwitcher.patchCheck.lastCheck';
+const NOTIFIED_KEY = 'fastNodeSwitcher.patchCheck.notified';
+
+// The first check waits a little, so it doesn't compete with activation
+const STARTUP_DELAY = 60 * 1000;
+
+// setTimeout fires right away when the delay doesn't fit in 32 bits
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Upgrades spelled out in the notification before "and N more"
+const MAX_LISTED_UPGRADES = 3;
+
+/**
+ * Periodically checks whether installed release lines have a newer patch release
+ * A line is major.minor: 22.11.0 is upgraded to 22.11.1, never to 22.12.0.
+ * After upgrading, aliases, the default version and project files pinned to the old patch can be moved along
+ */
+class PatchChecker {
+    constructor(detector, statusBarManager, commands) {
+        this.detector = detector;
+        this.statusBarManager = statusBarManager;
+        this.commands = commands;
+        this.state = null;
+        this.timer = null;
+    }
+
+    /**
+     * Register the check command and schedule the periodic check
+     */
+    register(context) {
+        this.state = context.globalState;
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.checkPatchUpdates', () => this.checkPatchUpdates()),
+            vscode.workspace.onDidChangeConfiguration((event) => {
+                if (event.affectsConfiguration(`fastNodeSwitcher.${INTERVAL_SETTING}`)) {
+                    this.schedule();
+                }
+            }),
+            this
+        );
+        this.schedule();
+    }
+
+    /**
+     * Schedule the next periodic check, counting from the last one so reloading the window doesn't reset it
+     * An interval of 0 disables the check
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const hours = vscode.workspace.getConfiguration('fastNodeSwitcher').get(INTERVAL_SETTING, 24);
+        if (!(hours > 0)) {
+            return;
+        }
+
+        const lastCheck = this.state ? this.state.get(LAST_CHECK_KEY, 0) : 0;
+        const delay = lastCheck + hours * 60 * 60 * 1000 - Date.now();
+        this.timer = setTimeout(
+            () => this.runScheduledCheck(),
+            Math.min(Math.max(delay, STARTUP_DELAY), MAX_TIMER_DELAY)
+        );
+    }
+
+    /**
+     * Periodic check
+     * Stays quiet when nothing changed since the last notification, so a dismissed upgrade isn't offered every interval
+     */
+    async runScheduledCheck() {
+        this.timer = null;
+        try {
+            if (this.state) {
+                await this.state.update(LAST_CHECK_KEY, Date.now());
+            }
+
+            const manager = this.detector.getActiveManager();
+            if (!manager || !manager.isAvailable) {
+                return;
+            }
+
+            const upgrades = await this.findUpgrades(manager);
+            const notified = this.state ? this.state.get(NOTIFIED_KEY, []) : [];
+            if (this.state) {
+                await this.state.update(NOTIFIED_KEY, upgrades.map(upgrade => upgrade.target));
+            }
+            if (upgrades.some(upgrade => !notified.includes(upgrade.target))) {
+                // Not awaited, the next check is scheduled while the notification is open
+                this.notify(manager, upgrades).catch(error => console.error('Failed to upgrade patch releases:', error));
+            }
+        } catch (error) {
+            console.error('Failed to check for patch updates:', error);
+        } finally {
+            this.schedule();
+        }
+    }
+
+    /**
+     * Check for Patch Updates command
+     */
+    async checkPatchUpdates() {
+        const manager = this.detector.getActiveManager();
+        if (!manager) {
+            await this.detector.showNoManagerError();
+            return;
+        }
+
+        try {
+            const upgrades = await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Window,
+                    title: 'Checking for Node patch releases...'
+                },
+                () => this.findUpgrades(manager)
+            );
+
+            if (upgrades.length === 0) {
+                vscode.window.showInformationMessage('Every installed Node release line is on its latest patch release');
+                return;
+            }
+            await this.notify(manager, upgrades);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to check for patch updates: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compare installed versions with the newest release of their major.minor line
+     * Releases come from the (cached) nodejs.org index, or the manager's remote listing when that is unavailable
+     * @returns {Promise<Array<{line: string, from: string, versions: string[], target: string}>>} One entry per line
+     *   with a newer patch, newest line first; from is the newest installed version of the line, versions all of them
+     */
+    async findUpgrades(manager) {
+        const [installedVersions, releases] = await Promise.all([
+            manager.getInstalledVersions(),
+            NodeReleases.getReleases(manager)
+        ]);
+
+        const lineOf = (version) => {
+            const parts = VersionSpec.toParts(version);
+            return parts ? `${parts[0]}.${parts[1]}` : null;
+        };
+
+        const newestRelease = new Map();
+        for (const release of releases) {
+            const version = VersionSpec.releaseVersion(release);
+            const line = lineOf(version);
+            if (line && (!newestRelease.has(line) || VersionSpec.compare(version, newestRelease.get(line)) > 0)) {
+                newestRelease.set(line, version);
+            }
+        }
+
+        // Installed versions by line, newest first
+        const installedLines = new Map();
+        for (const version of VersionSpec.sort(installedVersions.map(v => String(v).replace(/^v/, '')))) {
+            const line = lineOf(version);
+            if (line) {
+                installedLines.set(line, [...(installedLines.get(line) || []), version]);
+            }
+        }
+
+        const upgrades = [];
+        for (const [line, versions] of installedLines) {
+            const target = newestRelease.get(line);
+            if (target && VersionSpec.compare(target, versions[0]) > 0) {
+                upgrades.push({ line, from: versions[0], versions, target });
+            }
+        }
+        return upgrades.sort((a, b) => VersionSpec.compare(b.target, a.target));
+    }
+
+    /**
+     * Show one notification for all upgrades, then install the ones the user picks
+     */
+    async notify(manager, upgrades) {
+        const listed = upgrades
+            .slice(0, MAX_LISTED_UPGRADES)
+            .map(upgrade => `${upgrade.from} → ${upgrade.target}`)
+            .join(', ');
+        const more = upgrades.length > MAX_LISTED_UPGRADES
+            ? ` and ${upgrades.length - MAX_LISTED_UPGRADES} more`
+            : '';
+
+        let chosen = null;
+        if (upgrades.length === 1) {
+            const action = await vscode.window.showInformationMessage(
+                `Node ${upgrades[0].target} is available (installed: ${upgrades[0].from})`,
+                'Upgrade'
+            );
+            chosen = action === 'Upgrade' ? upgrades : null;
+        } else {
+            const action = await vscode.window.showInformationMessage(
+                `Patch releases are available for ${upgrades.length} installed Node lines: ${listed}${more}`,
+                'Upgrade All',
+                'Choose...'
+            );
+            if (action === 'Upgrade All') {
+                chosen = upgrades;
+            } else if (action === 'Choose...') {
+                chosen = await this.pickUpgrades(upgrades);
+            }
+        }
+
+        if (chosen && chosen.length > 0) {
+            await this.upgrade(manager, chosen);
+        }
+    }
+
+    /**
+     * Pick the lines to upgrade
+     * @returns {Promise<object[]|undefined>} Chosen upgrades, or undefined if cancelled
+     */
+    async pickUpgrades(upgrades) {
+        const selected = await vscode.window.showQuickPick(
+            upgrades.map(upgrade => ({
+                label: `Node ${upgrade.line}.x`,
+                description: `${upgrade.from} → ${upgrade.target}`,
+                picked: true,
+                upgrade
+            })),
+            {
+                placeHolder: 'Select the release lines to upgrade',
+                canPickMany: true
+            }
+        );
+        return selected ? selected.map(item => item.upgrade) : undefined;
+    }
+
+    /**
+     * Install the new patch releases one after another, then offer to move references over
+     */
+    async upgrade(manager, upgrades) {
+        const upgraded = [];
+        for (const upgrade of upgrades) {
+            try {
+                const installed = await InstallRunner.install(manager, upgrade.target);
+                if (!installed) {
+                    vscode.window.showInformationMessage(`Installation of Node ${upgrade.target} cancelled`);
+                    break;
+                }
+                upgraded.push(upgrade);
+            } catch (error) {
+                const action = await vscode.window.showErrorMessage(
+                    `Failed to install version: ${error.message}`,
+                    'Show Output'
+                );
+                if (action === 'Show Output') {
+                    InstallRunner.getOutputChannel().show();
+                }
+            }
+        }
+
+        if (upgraded.length === 0) {
+            return;
+        }
+
+        // The previous patch is the obvious source of the global packages
+        if (vscode.workspace.getConfiguration('fastNodeSwitcher').get('copyGlobalPackagesOnInstall', false)) {
+            for (const upgrade of upgraded) {
+                try {
+                    await this.commands.pickAndCopyGlobalPackages(manager, upgrade.from, upgrade.target);
+                } catch (error) {
+                    vscode.window.showErrorMessage(`Failed to copy global packages: ${error.message}`);
+                }
+            }
+        }
+
+        try {
+            await this.moveReferences(manager, upgraded);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to find version references: ${error.message}`);
+        }
+        await this.statusBarManager.update();
+    }
+
+    /**
+     * Let the user pick which aliases, default version and project files move to the new patch releases
+     */
+    async moveReferences(manager, upgrades) {
+        const targets = upgrades.map(upgrade => upgrade.target).join(', ');
+        const references = await this.findReferences(manager, upgrades);
+        if (references.length === 0) {
+            vscode.window.showInformationMessage(`Installed Node ${targets}`);
+            return;
+        }
+
+        const selected = await vscode.window.showQuickPick(
+            references.map(reference => ({
+                label: reference.label,
+                description: `${reference.from} → ${reference.to}`,
+                picked: true,
+                reference
+            })),
+            {
+                placeHolder: `Installed Node ${targets}. Move these to the new patch release? (Esc to keep them)`,
+                canPickMany: true
+            }
+        );
+        if (!selected || selected.length === 0) {
+            return;
+        }
+
+        const failed = [];
+        for (const { reference } of selected) {
+            try {
+                await reference.apply();
+            } catch (error) {
+                failed.push(`${reference.name}: ${error.message}`);
+            }
+        }
+
+        if (failed.length > 0) {
+            vscode.window.showErrorMessage(`Failed to move ${failed.length} of ${selected.length} version reference(s): ${failed.join('; ')}`);
+        } else {
+            vscode.window.showInformationMessage(`Moved ${selected.length} version reference(s) to the new patch release`);
+        }
+    }
+
+    /**
+     * Find what points at an upgraded line's old patch releases
+     * Only exact versions count: an alias set to '22' or a .nvmrc with 'lts/jod' already follows new installs
+     * @returns {Promise<Array<{name: string, label: string, from: string, to: string, apply: Function}>>}
+     */
+    async findReferences(manager, upgrades) {
+        const targetOf = (version) => {
+            const cleanVersion = String(version).trim().replace(/^v/, '');
+            const upgrade = upgrades.find(u => u.versions.includes(cleanVersion));
+            return upgrade ? upgrade.target : null;
+        };
+        const references = [];
+
+        if (manager.supportsAliases()) {
+            // Includes the default alias of nvm and fnm
+            for (const alias of await manager.getAliases()) {
+                const to = targetOf(alias.target);
+                if (to) {
+                    references.push({
+                        name: alias.name,
+                        label: alias.name === 'default' ? '$(star) Default version' : `$(tag) Alias ${alias.name}`,
+                        from: alias.version || alias.target,
+                        to,
+                        apply: () => manager.setAlias(alias.name, to)
+                    });
+                }
+            }
+        } else if (!manager.supportsScope() && manager.name !== 'fnm') {
+            // n and nvm-windows only switch globally, their one version is the default
+            const current = await manager.getGlobalVersion();
+            const to = current ? targetOf(current) : null;
+            if (to) {
+                references.push({
+                    name: 'global version',
+                    label: '$(globe) Global version',
+                    from: current,
+                    to,
+                    apply: () => manager.setDefaultVersion(to)
+                });
+            }
+        }
+
+        const registry = VersionFileRegistry.createDefault();
+        for (const found of await this.commands.findVersionFiles(manager)) {
+            // engines ranges are requirements, not pins
+            const to = found.reader.requirement ? null : targetOf(found.version);
+            if (!to) {
+                continue;
+            }
+            const relativePath = vscode.workspace.asRelativePath(found.filePath);
+            references.push({
+                name: relativePath,
+                label: `$(file) ${relativePath}`,
+                from: found.version,
+                to,
+                apply: async () => {
+                    if (!registry.replaceVersion(found, to)) {
+                        throw new Error(`${found.version} not found in ${found.source}`);
+                    }
+                }
+            });
+        }
+
+        return references;
+    }
+
+    /**
+     * Stop the periodic check
+     */
+    dispose() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = PatchChecker;
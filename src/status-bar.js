@@ -1,4 +1,11 @@
+const path = require('path');
 const vscode = require('vscode');
+const VersionSpec = require('./utils/version-spec');
+const NodeReleases = require('./utils/node-releases');
+const WorkspaceHelper = require('./utils/workspace-helper');
+
+// How long the release schedule and security releases are used before they are fetched again
+const RELEASE_DATA_TTL = 12 * 60 * 60 * 1000;
 
 /**
  * Status bar manager for displaying current Node version
@@ -11,6 +18,27 @@ class StatusBarManager {
             100
         );
         this.statusBarItem.command = 'fast-node-switcher.switchVersion';
+        // Workspace folder the displayed version belongs to
+        this.folderPath = null;
+        // Version file of the active editor's package, set by PackageVersionTracker
+        this.requirement = null;
+        // End-of-life or security warning for the displayed version, see NodeReleases.getAdvisory
+        this.advisory = null;
+        // Release schedule and security releases, loaded in the background
+        this.releaseData = null;
+        this.releaseDataLoadedAt = 0;
+        this.releaseDataLoading = null;
+        // Fired after every update, so other views can follow version switches
+        this.updateEmitter = new vscode.EventEmitter();
+        this.onDidUpdate = this.updateEmitter.event;
+    }
+
+    /**
+     * Set the version required by the active editor's package
+     * @param {{version: string, source: string, label: string, folderPath: string}|null} requirement
+     */
+    setRequirement(requirement) {
+        this.requirement = requirement;
     }
 
     /**
@@ -18,8 +46,13 @@ class StatusBarManager {
      */
     async update() {
         const manager = this.detector.getActiveManager();
+        const requirement = this.requirement;
+        this.folderPath = requirement ? requirement.folderPath : WorkspaceHelper.getActiveFolderPath();
 
         if (!manager || !manager.isAvailable) {
+            this.advisory = null;
+            this.statusBarItem.backgroundColor = undefined;
+            this.statusBarItem.command = 'fast-node-switcher.switchVersion';
             this.statusBarItem.text = `$(versions) Node (no manager)`;
             this.statusBarItem.tooltip = 'No version manager detected\nClick to configure';
             this.statusBarItem.show();
@@ -27,26 +60,110 @@ class StatusBarManager {
         }
 
         try {
-            const currentVersion = await manager.getCurrentVersion();
+            const currentVersion = await manager.getCurrentVersion(this.folderPath);
             const toolName = manager.getDisplayName();
+            // Name the folder in multi-root workspaces, where each folder can use a different version
+            const folderInfo = this.folderPath && WorkspaceHelper.getFolderPaths().length > 1
+                ? `\nFolder: ${path.basename(this.folderPath)}`
+                : '';
+
+            // Show what the package's version file asks for next to the active version
+            const requiredInfo = requirement
+                ? `\nRequired by ${requirement.label}: ${requirement.version} (${requirement.source})`
+                : '';
+            const parsed = requirement ? VersionSpec.parse(requirement.version) : null;
+            const mismatch = parsed && parsed.type !== 'alias' &&
+                (!currentVersion || !VersionSpec.satisfies(currentVersion, parsed));
+            const advisory = currentVersion ? this.getAdvisory(currentVersion) : null;
+            this.advisory = advisory;
+            this.statusBarItem.command = advisory && !mismatch
+                ? 'fast-node-switcher.upgradeActiveVersion'
+                : 'fast-node-switcher.switchVersion';
+            // Warnings get the theme's warning background so they stand out from the other items
+            this.statusBarItem.backgroundColor = mismatch || advisory
+                ? new vscode.ThemeColor('statusBarItem.warningBackground')
+                : undefined;
 
-            if (currentVersion) {
+            if (mismatch) {
+                this.statusBarItem.text = `$(warning) Node ${currentVersion || '(not set)'} (requires ${requirement.version})`;
+                this.statusBarItem.tooltip = `Current Node Version: ${currentVersion || 'not set'}${requiredInfo}${folderInfo}\nManaged by: ${toolName}\nClick to switch`;
+            } else if (advisory) {
+                this.statusBarItem.text = `$(warning) Node ${currentVersion} (${advisory.eol ? 'EOL' : 'security update'})`;
+                this.statusBarItem.tooltip = `Current Node Version: ${currentVersion}\n${this.describeAdvisory(advisory)}${requiredInfo}${folderInfo}\nManaged by: ${toolName}\nClick to upgrade`;
+            } else if (currentVersion) {
                 this.statusBarItem.text = `$(versions) Node ${currentVersion}`;
-                this.statusBarItem.tooltip = `Current Node Version: ${currentVersion}\nManaged by: ${toolName}\nClick to switch`;
+                this.statusBarItem.tooltip = `Current Node Version: ${currentVersion}${requiredInfo}${folderInfo}\nManaged by: ${toolName}\nClick to switch`;
             } else {
                 this.statusBarItem.text = `$(versions) Node (not set)`;
-                this.statusBarItem.tooltip = `No Node version set\nManaged by: ${toolName}\nClick to select`;
+                this.statusBarItem.tooltip = `No Node version set${folderInfo}\nManaged by: ${toolName}\nClick to select`;
             }
 
             this.statusBarItem.show();
+            this.updateEmitter.fire({ manager, version: currentVersion, folderPath: this.folderPath });
         } catch (error) {
             console.error('Failed to update status bar:', error);
+            this.statusBarItem.backgroundColor = undefined;
             this.statusBarItem.text = `$(versions) Node (error)`;
             this.statusBarItem.tooltip = `Error: ${error.message}`;
             this.statusBarItem.show();
         }
     }
 
+    /**
+     * Get the end-of-life or security warning for a version
+     * Release data is loaded in the background; the status bar updates again once it arrives
+     * @returns {object|null} Advisory, or null if there is nothing to warn about or no data yet
+     */
+    getAdvisory(version) {
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        if (!config.get('releaseWarnings', true)) {
+            return null;
+        }
+
+        if (Date.now() - this.releaseDataLoadedAt > RELEASE_DATA_TTL) {
+            this.loadReleaseData();
+        }
+        if (!this.releaseData) {
+            return null;
+        }
+        return NodeReleases.getAdvisory(version, this.releaseData.schedule, this.releaseData.releases);
+    }
+
+    /**
+     * Fetch the release schedule and security releases, then update the status bar
+     */
+    loadReleaseData() {
+        if (this.releaseDataLoading) {
+            return;
+        }
+
+        this.releaseDataLoading = Promise.all([NodeReleases.getSchedule(), NodeReleases.getSecurityReleases()])
+            .then(([{ schedule }, { releases }]) => {
+                this.releaseData = { schedule, releases };
+            })
+            .catch(error => {
+                console.error('Failed to load Node release data:', error);
+            })
+            .then(() => {
+                // Failures wait for the next period too, instead of retrying on every update
+                this.releaseDataLoadedAt = Date.now();
+                this.releaseDataLoading = null;
+                if (this.releaseData) {
+                    return this.update();
+                }
+            });
+    }
+
+    /**
+     * Describe an advisory for tooltips and messages
+     */
+    describeAdvisory(advisory) {
+        if (advisory.eol) {
+            return `Node ${advisory.version.split('.')[0]} reached end-of-life on ${advisory.status.until}`;
+        }
+        return `Node ${advisory.securityFix} fixes security issues in this version`;
+    }
+
     /**
      * Show the status bar item
      */
@@ -66,6 +183,7 @@ class StatusBarManager {
      */
     dispose() {
         this.statusBarItem.dispose();
+        this.updateEmitter.dispose();
     }
 }
 
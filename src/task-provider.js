@@ -0,0 +1,86 @@
+const path = require('path');
+const vscode = require('vscode');
+const NodeRuntime = require('./utils/node-runtime');
+
+const TASK_TYPE = 'node-version';
+
+/**
+ * Task provider for the node-version task type
+ * Runs an npm script with a specific version's bin directory first on PATH, without switching the
+ * global or project version. Example tasks.json entry:
+ *   { "type": "node-version", "script": "test", "version": "18", "label": "test on Node 18" }
+ */
+class NodeVersionTaskProvider {
+    constructor(detector) {
+        this.detector = detector;
+    }
+
+    /**
+     * Register the provider for the node-version task type
+     */
+    register(context) {
+        context.subscriptions.push(
+            vscode.tasks.registerTaskProvider(TASK_TYPE, this)
+        );
+    }
+
+    /**
+     * Tasks are defined in tasks.json, nothing is auto-detected
+     */
+    provideTasks() {
+        return [];
+    }
+
+    /**
+     * Resolve a node-version task from tasks.json into an executable task
+     */
+    async resolveTask(task) {
+        const definition = task.definition;
+        if (!definition || !definition.script || !definition.version) {
+            vscode.window.showErrorMessage('node-version tasks need a "script" and a "version"');
+            return undefined;
+        }
+
+        const manager = this.detector.getActiveManager();
+        if (!manager) {
+            await this.detector.showNoManagerError();
+            return undefined;
+        }
+
+        try {
+            const version = await NodeRuntime.ensureInstalled(
+                manager,
+                String(definition.version),
+                `task "${task.name}"`
+            );
+            if (!version) {
+                return undefined;
+            }
+
+            const binDir = NodeRuntime.getBinDir(manager, version);
+            const npmPath = manager.getToolPath(version, 'npm') || 'npm';
+
+            const folder = task.scope && task.scope.uri ? task.scope.uri.fsPath : null;
+            const cwd = definition.path && folder ? path.join(folder, definition.path) : folder;
+
+            const execution = new vscode.ShellExecution(npmPath, ['run', definition.script], {
+                cwd: cwd || undefined,
+                env: NodeRuntime.prependPath({}, binDir)
+            });
+
+            return new vscode.Task(
+                definition,
+                task.scope || vscode.TaskScope.Workspace,
+                task.name || `${definition.script} (Node ${version})`,
+                TASK_TYPE,
+                execution,
+                task.problemMatchers || []
+            );
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to resolve node-version task: ${error.message}`);
+            return undefined;
+        }
+    }
+}
+
+module.exports = NodeVersionTaskProvider;
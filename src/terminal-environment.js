@@ -0,0 +1,213 @@
+const path = require('path');
+const vscode = require('vscode');
+const WorkspaceHelper = require('./utils/workspace-helper');
+
+/**
+ * Puts the selected Node version first on PATH in integrated terminals
+ * Uses the extension's environment variable collection, so no shell hook is needed for any manager
+ */
+class TerminalEnvironment {
+    constructor(context) {
+        this.collection = context.environmentVariableCollection;
+        // Folder paths with a scoped collection applied (VS Code 1.85+)
+        this.scopedFolders = new Set();
+        // What is currently applied, used to skip no-op updates and detect version changes
+        this.signature = null;
+        // Terminals started before the last PATH change
+        this.staleTerminals = new Set();
+        // Updates run one at a time; only the newest requested one is applied
+        this.pending = Promise.resolve();
+        this.generation = 0;
+
+        this.relaunchItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 99);
+        this.relaunchItem.command = 'fast-node-switcher.relaunchTerminals';
+
+        this.terminalListener = vscode.window.onDidCloseTerminal((terminal) => {
+            this.staleTerminals.delete(terminal);
+            this.updateIndicator();
+        });
+    }
+
+    /**
+     * Register the relaunch command
+     */
+    register(context) {
+        context.subscriptions.push(
+            vscode.commands.registerCommand('fast-node-switcher.relaunchTerminals', () => this.relaunchTerminals())
+        );
+    }
+
+    /**
+     * Check if terminal PATH injection is enabled
+     */
+    isEnabled() {
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        return config.get('terminalPath', true);
+    }
+
+    /**
+     * Check if this VS Code supports per-folder collections
+     */
+    supportsScopes() {
+        return typeof this.collection.getScoped === 'function';
+    }
+
+    /**
+     * Apply the manager's current version to the terminal PATH
+     * Calls are queued behind the running one, so collections are never cleared and prepended out of order,
+     * and an update superseded by a newer call is dropped
+     * @returns {Promise<void>}
+     */
+    apply(manager) {
+        const generation = ++this.generation;
+        const run = this.pending
+            .catch(() => {})
+            .then(() => this.update(manager, generation));
+        this.pending = run;
+        return run;
+    }
+
+    /**
+     * Update the terminal PATH unless a newer update was requested meanwhile
+     * Each workspace folder gets its own version when scoped collections are supported
+     */
+    async update(manager, generation) {
+        if (generation !== this.generation) {
+            return;
+        }
+        if (!this.isEnabled() || !manager || !manager.isAvailable) {
+            this.clear();
+            return;
+        }
+
+        const folders = this.supportsScopes() ? WorkspaceHelper.getFolderPaths() : [];
+        const targets = folders.length > 0 ? folders : [WorkspaceHelper.getActiveFolderPath()];
+
+        const entries = [];
+        for (const folderPath of targets) {
+            const version = await manager.getCurrentVersion(folderPath);
+            const binDir = version ? manager.getBinDir(version) : null;
+            entries.push({ folderPath, version, binDir });
+        }
+
+        // The versions may have changed while they were looked up
+        if (generation !== this.generation) {
+            return;
+        }
+
+        const signature = JSON.stringify(entries);
+        if (signature === this.signature) {
+            return;
+        }
+        const previous = this.signature;
+
+        this.clearCollections();
+        for (const entry of entries) {
+            if (!entry.binDir) {
+                continue;
+            }
+
+            const workspaceFolder = folders.length > 0 ? this.getWorkspaceFolder(entry.folderPath) : null;
+            const collection = workspaceFolder ? this.collection.getScoped({ workspaceFolder }) : this.collection;
+            collection.prepend('PATH', `${entry.binDir}${path.delimiter}`);
+            collection.description = `Node ${entry.version} (${manager.getDisplayName()}) first on PATH`;
+            if (workspaceFolder) {
+                this.scopedFolders.add(entry.folderPath);
+            }
+        }
+        this.signature = signature;
+
+        // Terminals restored on startup already get the persisted collection, only later changes make them stale
+        if (previous !== null) {
+            vscode.window.terminals.forEach(terminal => this.staleTerminals.add(terminal));
+            this.updateIndicator();
+        }
+    }
+
+    /**
+     * Find the workspace folder object for a folder path
+     */
+    getWorkspaceFolder(folderPath) {
+        const workspaceFolders = vscode.workspace.workspaceFolders || [];
+        return workspaceFolders.find(folder => folder.uri.fsPath === folderPath) || null;
+    }
+
+    /**
+     * Remove every PATH change made by the extension
+     */
+    clear() {
+        const hadChanges = this.signature !== null;
+        this.clearCollections();
+        this.signature = null;
+        if (hadChanges) {
+            vscode.window.terminals.forEach(terminal => this.staleTerminals.add(terminal));
+            this.updateIndicator();
+        }
+    }
+
+    /**
+     * Clear the global and all scoped collections
+     */
+    clearCollections() {
+        this.collection.clear();
+        for (const folderPath of this.scopedFolders) {
+            const workspaceFolder = this.getWorkspaceFolder(folderPath);
+            if (workspaceFolder) {
+                this.collection.getScoped({ workspaceFolder }).clear();
+            }
+        }
+        this.scopedFolders.clear();
+    }
+
+    /**
+     * Show the relaunch indicator while terminals use an outdated PATH
+     */
+    updateIndicator() {
+        const count = this.staleTerminals.size;
+        if (count === 0) {
+            this.relaunchItem.hide();
+            return;
+        }
+
+        this.relaunchItem.text = `$(terminal) Relaunch required`;
+        this.relaunchItem.tooltip = `${count} terminal${count > 1 ? 's' : ''} still use${count > 1 ? '' : 's'} the previous Node version\nClick to relaunch`;
+        this.relaunchItem.show();
+    }
+
+    /**
+     * Recreate terminals started before the last PATH change
+     */
+    relaunchTerminals() {
+        let lastTerminal = null;
+        for (const terminal of this.staleTerminals) {
+            const options = terminal.creationOptions || {};
+            // Extension terminals backed by a pseudoterminal can't be recreated
+            if (options.pty) {
+                continue;
+            }
+            terminal.dispose();
+            lastTerminal = vscode.window.createTerminal({
+                name: options.name || terminal.name,
+                cwd: options.cwd,
+                shellPath: options.shellPath,
+                shellArgs: options.shellArgs
+            });
+        }
+
+        this.staleTerminals.clear();
+        this.updateIndicator();
+        if (lastTerminal) {
+            lastTerminal.show();
+        }
+    }
+
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.relaunchItem.dispose();
+        this.terminalListener.dispose();
+    }
+}
+
+module.exports = TerminalEnvironment;
@@ -0,0 +1,159 @@
+const { execFile, spawn } = require('child_process');
+const util = require('util');
+const path = require('path');
+const os = require('os');
+
+const execFilePromise = util.promisify(execFile);
+
+// Windows batch files (.cmd/.bat) can only be started through cmd.exe
+const BATCH_FILE_PATTERN = /\.(cmd|bat)$/i;
+
+// Characters cmd.exe would interpret even inside quotes
+const CMD_UNSAFE_PATTERN = /[&|<>^%!"\r\n]/;
+
+// How much of stderr to keep for error messages
+const STDERR_TAIL_LENGTH = 4096;
+
+/**
+ * Helper class for running version manager executables
+ * Commands are always passed as an executable plus an argument array, never as a shell string
+ */
+class CommandRunner {
+    /**
+     * Run an executable and collect its output
+     * @param {string} file - Executable path or name on PATH
+     * @param {string[]} args - Arguments, passed to the process as-is
+     * @param {object} options - child_process.execFile options (cwd, env, ...)
+     * @returns {Promise<{stdout: string, stderr: string}>}
+     */
+    static async run(file, args = [], options = {}) {
+        const { command, commandArgs, execOptions } = this.prepare(file, args, options);
+        return await execFilePromise(command, commandArgs, {
+            maxBuffer: 10 * 1024 * 1024,
+            ...execOptions
+        });
+    }
+
+    /**
+     * Run an executable and stream its output as it is produced
+     * Resolves when the process exits, whatever its exit code; rejects only if it can't be started
+     * @param {string} file - Executable path or name on PATH
+     * @param {string[]} args - Arguments, passed to the process as-is
+     * @param {object} options - child_process.spawn options (cwd, env, ...), plus onOutput(text)
+     *                           called with each stdout/stderr chunk and a cancellation token that
+     *                           kills the process and everything it started
+     * @returns {Promise<{code: number|null, signal: string|null, cancelled: boolean, stderr: string}>}
+     */
+    static spawn(file, args = [], options = {}) {
+        const { onOutput, token, ...spawnOptions } = options;
+        const { command, commandArgs, execOptions } = this.prepare(file, args, {
+            ...spawnOptions,
+            // Own process group on Unix, so the download tools a manager starts are killed with it
+            detached: Boolean(token) && os.platform() !== 'win32'
+        });
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, commandArgs, execOptions);
+            let stderr = '';
+            let cancelled = false;
+
+            child.stdout.setEncoding('utf8');
+            child.stderr.setEncoding('utf8');
+            child.stdout.on('data', (text) => {
+                if (onOutput) {
+                    onOutput(text);
+                }
+            });
+            child.stderr.on('data', (text) => {
+                stderr = (stderr + text).slice(-STDERR_TAIL_LENGTH);
+                if (onOutput) {
+                    onOutput(text);
+                }
+            });
+
+            const cancellation = token ? token.onCancellationRequested(() => {
+                cancelled = true;
+                this.killTree(child);
+            }) : null;
+            if (token && token.isCancellationRequested) {
+                cancelled = true;
+                this.killTree(child);
+            }
+
+            child.on('error', (error) => {
+                if (cancellation) {
+                    cancellation.dispose();
+                }
+                reject(error);
+            });
+            child.on('close', (code, signal) => {
+                if (cancellation) {
+                    cancellation.dispose();
+                }
+                resolve({ code, signal, cancelled, stderr });
+            });
+        });
+    }
+
+    /**
+     * Kill a spawned process and its children
+     */
+    static killTree(child) {
+        if (child.exitCode !== null || child.signalCode !== null) {
+            return;
+        }
+
+        try {
+            if (os.platform() === 'win32') {
+                execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+            } else {
+                // Negative pid signals the whole process group
+                process.kill(-child.pid, 'SIGTERM');
+            }
+        } catch (error) {
+            // Group already gone, fall back to the process itself
+            child.kill();
+        }
+    }
+
+    /**
+     * Resolve how to start an executable on the current platform
+     * On Windows, .cmd/.bat files are wrapped in cmd.exe after checking that no argument
+     * contains characters cmd.exe would expand
+     */
+    static prepare(file, args, options) {
+        if (os.platform() !== 'win32' || !BATCH_FILE_PATTERN.test(file)) {
+            return { command: file, commandArgs: args, execOptions: options };
+        }
+
+        const unsafeArg = args.find(arg => CMD_UNSAFE_PATTERN.test(arg));
+        if (unsafeArg !== undefined) {
+            throw new Error(`Refusing to pass unsafe argument to ${path.basename(file)}: ${unsafeArg}`);
+        }
+
+        const commandLine = [file, ...args].map(arg => `"${arg}"`).join(' ');
+        return {
+            command: process.env.ComSpec || 'cmd.exe',
+            commandArgs: ['/d', '/s', '/c', `"${commandLine}"`],
+            execOptions: { ...options, windowsVerbatimArguments: true }
+        };
+    }
+
+    /**
+     * Find an executable on PATH
+     * @param {string} name - Executable name (e.g., 'fnm')
+     * @returns {Promise<string[]>} Matching paths, empty if not found
+     */
+    static async findInPath(name) {
+        try {
+            const finder = os.platform() === 'win32' ? 'where' : 'which';
+            const { stdout } = await this.run(finder, [name]);
+            return stdout.trim().split('\n').map(line => line.trim()).filter(line => line);
+        } catch (error) {
+            // Not in PATH
+            return [];
+        }
+    }
+}
+
+module.exports = CommandRunner;
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+const UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Helper class for measuring installed versions on disk
+ */
+class DiskUsage {
+    /**
+     * Get the total size of a directory
+     * Symlinks are counted as links, not followed, so shared files aren't counted twice
+     * @param {string} target - File or directory path
+     * @returns {Promise<number>} Size in bytes, 0 if it doesn't exist
+     */
+    static async getSize(target) {
+        let stats;
+        try {
+            stats = await fs.promises.lstat(target);
+        } catch (error) {
+            return 0;
+        }
+
+        if (!stats.isDirectory()) {
+            return stats.size;
+        }
+
+        let entries = [];
+        try {
+            entries = await fs.promises.readdir(target);
+        } catch (error) {
+            return 0;
+        }
+
+        let total = 0;
+        for (const entry of entries) {
+            total += await this.getSize(path.join(target, entry));
+        }
+        return total;
+    }
+
+    /**
+     * Format a byte count for display (e.g., '48.2 MB')
+     */
+    static format(bytes) {
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < UNITS.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${value} ${UNITS[unit]}` : `${value.toFixed(1)} ${UNITS[unit]}`;
+    }
+}
+
+module.exports = DiskUsage;
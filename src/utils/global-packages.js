@@ -0,0 +1,132 @@
+const vscode = require('vscode');
+const CommandRunner = require('./command-runner');
+const NodeRuntime = require('./node-runtime');
+const InstallRunner = require('./install-runner');
+
+// Shipped with every Node release, the target version already has its own
+const BUNDLED_PACKAGES = ['npm', 'corepack'];
+
+/**
+ * Helper class for copying globally installed npm packages between Node versions
+ */
+class GlobalPackages {
+    /**
+     * List the global packages of an installed version, using that version's own npm
+     * @returns {Promise<Array<{name: string, version: string, linked: boolean}>>} Sorted by name, bundled packages left out
+     */
+    static async list(manager, version) {
+        const npmPath = manager.getToolPath(version, 'npm');
+        if (!npmPath) {
+            throw new Error(`Could not find npm for Node ${version}`);
+        }
+
+        let stdout;
+        try {
+            ({ stdout } = await CommandRunner.run(npmPath, ['ls', '-g', '--json', '--depth=0'], {
+                env: NodeRuntime.prependPath({ ...process.env }, NodeRuntime.getBinDir(manager, version))
+            }));
+        } catch (error) {
+            // npm ls exits with 1 when the tree has problems (e.g. missing peers) but still prints it
+            if (!error.stdout) {
+                throw new Error(`Failed to list global packages: ${error.message}`);
+            }
+            stdout = error.stdout;
+        }
+
+        const dependencies = JSON.parse(stdout).dependencies || {};
+        return Object.entries(dependencies)
+            .filter(([name]) => !BUNDLED_PACKAGES.includes(name))
+            .map(([name, info]) => ({
+                name,
+                version: info.version || null,
+                // npm link'ed packages point at a local folder and can't be installed from the registry
+                linked: typeof info.resolved === 'string' && info.resolved.startsWith('file:')
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Install packages into another version in a cancellable progress notification
+     * When every package is copied and the manager can do it natively (nvm), the manager's own command is used
+     * @param {Array<{name: string, version: string}>} packages - Packages to install
+     * @param {boolean} everything - True if packages are all of the source version's global packages
+     * @returns {Promise<{copied: string[], failed: Array<{name: string, error: string}>, cancelled: boolean}>}
+     */
+    static async copy(manager, fromVersion, toVersion, packages, everything) {
+        const channel = InstallRunner.getOutputChannel();
+        channel.appendLine('');
+        channel.appendLine(`> Copying global packages from Node ${fromVersion} to Node ${toVersion}`);
+
+        return await vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Notification,
+                title: `Copying global packages to Node ${toVersion}`,
+                cancellable: true
+            },
+            async (progress, token) => {
+                const result = { copied: [], failed: [], cancelled: false };
+                const onOutput = text => channel.append(text);
+
+                if (everything && manager.supportsReinstallPackages()) {
+                    try {
+                        await manager.reinstallPackages(fromVersion, toVersion, { onOutput, token });
+                        result.copied = packages.map(pkg => pkg.name);
+                    } catch (error) {
+                        result.cancelled = token.isCancellationRequested;
+                        if (!result.cancelled) {
+                            result.failed = packages.map(pkg => ({ name: pkg.name, error: error.message }));
+                            channel.appendLine(`Failed to copy global packages: ${error.message}`);
+                        }
+                    }
+                    return result;
+                }
+
+                const npmPath = manager.getToolPath(toVersion, 'npm');
+                if (!npmPath) {
+                    throw new Error(`Could not find npm for Node ${toVersion}`);
+                }
+                // Install scripts of the packages must run under the target version too
+                const env = NodeRuntime.prependPath({ ...process.env }, NodeRuntime.getBinDir(manager, toVersion));
+
+                for (const [index, pkg] of packages.entries()) {
+                    if (token.isCancellationRequested) {
+                        result.cancelled = true;
+                        break;
+                    }
+
+                    const spec = pkg.version ? `${pkg.name}@${pkg.version}` : pkg.name;
+                    progress.report({
+                        message: `${spec} (${index + 1}/${packages.length})`,
+                        increment: 100 / packages.length
+                    });
+                    channel.appendLine(`> npm install -g ${spec}`);
+
+                    try {
+                        const { code, signal, cancelled, stderr } = await CommandRunner.spawn(
+                            npmPath, ['install', '-g', spec], { env, onOutput, token }
+                        );
+                        if (cancelled) {
+                            result.cancelled = true;
+                            break;
+                        }
+                        if (code === 0) {
+                            result.copied.push(pkg.name);
+                        } else {
+                            const lastLine = stderr.trim().split(/\r?\n/).pop();
+                            result.failed.push({ name: pkg.name, error: lastLine || `npm exited with ${signal || `code ${code}`}` });
+                        }
+                    } catch (error) {
+                        result.failed.push({ name: pkg.name, error: error.message });
+                    }
+                }
+
+                channel.appendLine(result.cancelled
+                    ? 'Copying cancelled'
+                    : `Copied ${result.copied.length} of ${packages.length} global package(s)`);
+                return result;
+            }
+        );
+    }
+}
+
+module.exports = GlobalPackages;
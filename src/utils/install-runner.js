@@ -0,0 +1,171 @@
+const fs = require('fs');
+const vscode = require('vscode');
+
+// Last percentage on a progress line, e.g. "######### 45.2%" (nvm), "[====>    ] 45%" (volta), "(45%)" (fnm, mise)
+const PERCENT_PATTERN = /(\d{1,3}(?:\.\d+)?)\s*%/g;
+
+// Colors and cursor movement used by progress bars
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// Progress lines are redrawn many times a second, only every this many percent is written to the output channel
+const LOGGED_PERCENT_STEP = 10;
+
+let outputChannel = null;
+
+/**
+ * Turns a manager's raw install output into output channel lines and progress notification updates
+ */
+class InstallOutput {
+    constructor(channel, progress) {
+        this.channel = channel;
+        this.progress = progress;
+        // Text after the last line break, completed by the next chunk
+        this.pending = '';
+        this.reported = 0;
+        this.logged = -LOGGED_PERCENT_STEP;
+    }
+
+    /**
+     * Handle a chunk of stdout/stderr
+     */
+    write(text) {
+        // Progress bars redraw the line with \r, treat it as a line break
+        const lines = (this.pending + text.replace(ANSI_PATTERN, '')).split(/\r\n|\r|\n/);
+        this.pending = lines.pop();
+        lines.forEach(line => this.writeLine(line));
+    }
+
+    /**
+     * Write whatever is left once the process has exited
+     */
+    flush() {
+        if (this.pending) {
+            this.writeLine(this.pending);
+            this.pending = '';
+        }
+    }
+
+    /**
+     * Handle one complete line
+     */
+    writeLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            return;
+        }
+
+        const percent = InstallRunner.parsePercent(trimmed);
+        if (percent === null) {
+            this.channel.appendLine(trimmed);
+            this.progress.report({ message: trimmed.length > 60 ? `${trimmed.slice(0, 57)}...` : trimmed });
+            return;
+        }
+
+        if (percent > this.reported) {
+            this.progress.report({ message: `Downloading... ${Math.floor(percent)}%`, increment: percent - this.reported });
+            this.reported = percent;
+        }
+        if (percent - this.logged >= LOGGED_PERCENT_STEP || (percent === 100 && this.logged < 100)) {
+            this.channel.appendLine(trimmed);
+            this.logged = percent;
+        }
+    }
+}
+
+/**
+ * Helper class for installing Node versions with live output and a cancel button
+ */
+class InstallRunner {
+    /**
+     * Get the output channel install output is streamed to
+     */
+    static getOutputChannel() {
+        if (!outputChannel) {
+            outputChannel = vscode.window.createOutputChannel('Fast Node Switcher: Install');
+        }
+        return outputChannel;
+    }
+
+    /**
+     * Install a version in a cancellable progress notification
+     * Cancelling kills the manager's process and removes whatever the install had written so far
+     * @param {BaseVersionManager} manager - Version manager to install with
+     * @param {string} version - Version to install (e.g., '20.10.0')
+     * @returns {Promise<boolean>} True if installed, false if the user cancelled
+     */
+    static async install(manager, version) {
+        const channel = this.getOutputChannel();
+        const cleanVersion = String(version).replace(/^v/, '');
+        // Files that already exist (e.g. a cached download) belong to earlier installs and are kept on cancel
+        const existing = manager.getInstallArtifacts(cleanVersion).filter(artifact => fs.existsSync(artifact));
+
+        channel.appendLine('');
+        channel.appendLine(`> Installing Node ${cleanVersion} with ${manager.getDisplayName()}`);
+
+        return await vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Notification,
+                title: `Installing Node ${cleanVersion}`,
+                cancellable: true
+            },
+            async (progress, token) => {
+                const output = new InstallOutput(channel, progress);
+                try {
+                    await manager.installVersion(version, {
+                        onOutput: text => output.write(text),
+                        token
+                    });
+                    output.flush();
+                    channel.appendLine(`Node ${cleanVersion} installed`);
+                    return true;
+                } catch (error) {
+                    output.flush();
+                    if (!token.isCancellationRequested) {
+                        channel.appendLine(`Installation failed: ${error.message}`);
+                        throw error;
+                    }
+
+                    channel.appendLine('Installation cancelled');
+                    this.removePartialInstall(manager, cleanVersion, existing);
+                    return false;
+                }
+            }
+        );
+    }
+
+    /**
+     * Remove the files a cancelled install left behind
+     * @param {string[]} existing - Artifacts that existed before the install started
+     */
+    static removePartialInstall(manager, version, existing) {
+        const channel = this.getOutputChannel();
+        for (const artifact of manager.getInstallArtifacts(version)) {
+            if (existing.includes(artifact) || !fs.existsSync(artifact)) {
+                continue;
+            }
+            try {
+                fs.rmSync(artifact, { recursive: true, force: true });
+                channel.appendLine(`Removed ${artifact}`);
+            } catch (error) {
+                channel.appendLine(`Failed to remove ${artifact}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Get the download percentage from a line of install output
+     * @returns {number|null} Percentage between 0 and 100, or null if the line has none
+     */
+    static parsePercent(line) {
+        let percent = null;
+        for (const match of line.matchAll(PERCENT_PATTERN)) {
+            const value = parseFloat(match[1]);
+            if (value <= 100) {
+                percent = value;
+            }
+        }
+        return percent;
+    }
+}
+
+module.exports = InstallRunner;
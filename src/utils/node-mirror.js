@@ -0,0 +1,77 @@
+const os = require('os');
+const vscode = require('vscode');
+
+const OFFICIAL_DIST_URL = 'https://nodejs.org/dist';
+const UNOFFICIAL_BUILDS_URL = 'https://unofficial-builds.nodejs.org/download/release';
+
+// Node distribution names for process.arch values
+const DIST_ARCHES = {
+    x64: 'x64',
+    arm64: 'arm64',
+    arm: 'armv7l',
+    ia32: 'x86',
+    ppc64: 'ppc64le',
+    s390x: 's390x'
+};
+
+/**
+ * Helper class for the Node download mirror and build flavour settings
+ * Each version manager maps them onto its own environment variables (see BaseVersionManager.getMirrorEnv)
+ */
+class NodeMirror {
+    /**
+     * Get the configured download mirror
+     * A flavour without a mirror uses unofficial-builds.nodejs.org, where those builds are published
+     * @param {string|null} flavor - Flavour the manager will install (see BaseVersionManager.getFlavor), not the raw setting
+     * @returns {string|null} Base URL without trailing slash (e.g., 'https://artifactory.example.com/nodejs/dist'),
+     *   or null to use each manager's default
+     */
+    static getMirror(flavor = null) {
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        const mirror = String(config.get('nodeMirror', '') || '').trim().replace(/\/+$/, '');
+        if (mirror) {
+            return mirror;
+        }
+        return flavor ? UNOFFICIAL_BUILDS_URL : null;
+    }
+
+    /**
+     * Get the configured unofficial build flavour
+     * Flavours only exist for Linux builds, the setting is ignored elsewhere
+     * @returns {string|null} 'musl', 'glibc-217' or null for the standard builds
+     */
+    static getFlavor() {
+        if (os.platform() !== 'linux') {
+            return null;
+        }
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        const flavor = config.get('nodeFlavor', 'default');
+        return flavor && flavor !== 'default' ? flavor : null;
+    }
+
+    /**
+     * Get the base URL Node distributions are downloaded from
+     * @param {string|null} flavor - Flavour the manager will install
+     */
+    static getDistUrl(flavor = null) {
+        return this.getMirror(flavor) || OFFICIAL_DIST_URL;
+    }
+
+    /**
+     * Get the Node distribution name of this machine's architecture (e.g., 'x64', 'armv7l')
+     */
+    static getArch() {
+        return DIST_ARCHES[process.arch] || process.arch;
+    }
+
+    /**
+     * Get the file key a release must list to have a build for this machine, e.g. 'linux-x64-musl'
+     * @param {string|null} flavor - Flavour the manager will install
+     * @returns {string|null} Key, or null for the standard builds
+     */
+    static getFlavorFileKey(flavor = null) {
+        return flavor ? `linux-${this.getArch()}-${flavor}` : null;
+    }
+}
+
+module.exports = NodeMirror;
@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const NodeMirror = require('./node-mirror');
+const VersionSpec = require('./version-spec');
+
+const NODE_SCHEDULE_URL = 'https://raw.githubusercontent.com/nodejs/Release/main/schedule.json';
+
+const INDEX_CACHE_FILE = 'node-releases.json';
+const SCHEDULE_CACHE_FILE = 'node-schedule.json';
+
+// Give up on a silent connection well before the OS TCP timeout, so offline hosts fall back to the cache quickly
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+
+// Schedule and security releases shipped with the extension, used before anything could be fetched
+const SNAPSHOT_FILE = path.join(__dirname, 'node-release-snapshot.json');
+
+// Extension global storage, set on activation; nothing is cached until then
+let cacheDir = null;
+
+/**
+ * Helper class for the Node.js release index (nodejs.org/dist/index.json, or the configured mirror's copy)
+ */
+class NodeReleases {
+    /**
+     * Get the URL of the release index
+     * @param {string|null} flavor - Flavour the manager will install
+     */
+    static getIndexUrl(flavor = null) {
+        return `${NodeMirror.getDistUrl(flavor)}/index.json`;
+    }
+
+    /**
+     * Fetch the release index
+     * With a build flavour, only releases that have a build of that flavour for this machine are kept
+     * @param {string|null} flavor - Flavour the manager will install (see BaseVersionManager.getFlavor)
+     * @returns {Promise<object[]>} Releases newest first, with the 'v' prefix removed from version,
+     *   e.g. { version: '22.11.0', date: '2024-10-29', npm: '10.9.0', lts: 'Jod' }
+     */
+    static async fetchIndex(flavor = null) {
+        const data = await this.fetchJson(this.getIndexUrl(flavor));
+        if (!Array.isArray(data)) {
+            throw new Error('Unexpected Node.js release index format');
+        }
+
+        const flavorKey = NodeMirror.getFlavorFileKey(flavor);
+        return data
+            .filter(release => !flavorKey || !Array.isArray(release.files) || release.files.includes(flavorKey))
+            .map(release => ({
+                ...release,
+                version: String(release.version).replace(/^v/, '')
+            }));
+    }
+
+    /**
+     * Set the directory fetched listings are cached in, so they are still available offline
+     * @param {string} dir - Extension global storage path
+     */
+    static setCacheDir(dir) {
+        cacheDir = dir;
+    }
+
+    /**
+     * Get the release index, from nodejs.org or from the last successful fetch
+     * @param {string|null} flavor - Flavour the manager will install
+     * @returns {Promise<{releases: object[], fetchedAt: string, cached: boolean}>}
+     */
+    static async getIndex(flavor = null) {
+        const source = `${this.getIndexUrl(flavor)}#${NodeMirror.getFlavorFileKey(flavor) || ''}`;
+        const { data, fetchedAt, cached } = await this.getCached(INDEX_CACHE_FILE, source, () => this.fetchIndex(flavor));
+        return { releases: data, fetchedAt, cached };
+    }
+
+    /**
+     * Get remote releases for version resolution
+     * Falls back to the cached index, then to the manager's own remote listing when nodejs.org can't be reached
+     * @param {BaseVersionManager} manager - Active version manager
+     * @returns {Promise<Array<object|string>>} Release objects, or version strings from the fallback
+     */
+    static async getReleases(manager) {
+        try {
+            return (await this.getIndex(manager ? manager.getFlavor() : null)).releases;
+        } catch (error) {
+            console.error('Failed to fetch Node.js release index:', error);
+            return manager ? await manager.getAvailableVersions() : [];
+        }
+    }
+
+    /**
+     * Fetch the release schedule of every major line
+     * @returns {Promise<object>} Schedule by major number, e.g.
+     *   { 22: { start: '2024-04-24', lts: '2024-10-29', maintenance: '2025-10-21', end: '2027-04-30', codename: 'Jod' } }
+     */
+    static async fetchSchedule() {
+        const data = await this.fetchJson(NODE_SCHEDULE_URL);
+        if (!data || typeof data !== 'object') {
+            throw new Error('Unexpected Node.js release schedule format');
+        }
+
+        const schedule = {};
+        for (const [line, entry] of Object.entries(data)) {
+            // Keys are 'v22' for current lines and 'v0.12' for the pre-io.js ones
+            const match = line.match(/^v(\d+)$/);
+            if (match) {
+                schedule[match[1]] = entry;
+            }
+        }
+        return schedule;
+    }
+
+    /**
+     * Get the release schedule, from GitHub, the last successful fetch or the bundled snapshot
+     * @returns {Promise<{schedule: object, fetchedAt: string, cached: boolean}>}
+     */
+    static async getSchedule() {
+        try {
+            const { data, fetchedAt, cached } = await this.getCached(SCHEDULE_CACHE_FILE, NODE_SCHEDULE_URL, () => this.fetchSchedule());
+            return { schedule: data, fetchedAt, cached };
+        } catch (error) {
+            const snapshot = this.readSnapshot();
+            if (!snapshot) {
+                throw error;
+            }
+            console.error(`Using bundled release schedule from ${snapshot.generatedAt}:`, error.message);
+            return { schedule: snapshot.schedule, fetchedAt: snapshot.generatedAt, cached: true };
+        }
+    }
+
+    /**
+     * Get releases with their security flag for security checks
+     * The bundled snapshot only lists security releases, enough to tell which versions need a fix
+     * @returns {Promise<{releases: object[], fetchedAt: string, cached: boolean}>}
+     */
+    static async getSecurityReleases() {
+        try {
+            return await this.getIndex();
+        } catch (error) {
+            const snapshot = this.readSnapshot();
+            if (!snapshot) {
+                throw error;
+            }
+            console.error(`Using bundled security releases from ${snapshot.generatedAt}:`, error.message);
+            return { releases: snapshot.releases, fetchedAt: snapshot.generatedAt, cached: true };
+        }
+    }
+
+    /**
+     * Check whether a version is end-of-life or misses a security fix released for its line
+     * @param {string} version - Version to check (e.g., '20.10.0')
+     * @param {object} schedule - Schedule by major, from getSchedule
+     * @param {object[]} releases - Releases with security flags, from getSecurityReleases
+     * @param {Date} now - Date to check
+     * @returns {object|null} null if the version is fine, otherwise
+     *   { version, status, eol, securityFix, target, targetLts } where securityFix is the newest security
+     *   release of the line, target the release to upgrade to (newest of the line, or of the newest
+     *   supported LTS line when the line is end-of-life) and targetLts its LTS codename
+     */
+    static getAdvisory(version, schedule, releases, now = new Date()) {
+        const parts = VersionSpec.toParts(version);
+        if (!parts) {
+            return null;
+        }
+
+        const major = parts[0];
+        const today = now.toISOString().slice(0, 10);
+        const status = this.getSupportStatus(schedule[major], now);
+        const inLine = (release, lineMajor) => {
+            const releaseParts = VersionSpec.toParts(release.version);
+            return releaseParts && releaseParts[0] === lineMajor;
+        };
+        const newest = list => list.reduce((best, release) =>
+            !best || VersionSpec.compare(release.version, best.version) > 0 ? release : best, null);
+
+        const newer = releases.filter(release => inLine(release, major) && VersionSpec.compare(release.version, parts) > 0);
+        const securityFix = newest(newer.filter(release => release.security));
+        if (!status.eol && !securityFix) {
+            return null;
+        }
+
+        let target = null;
+        if (status.eol) {
+            // Newest LTS line that is still supported
+            const ltsMajors = Object.entries(schedule)
+                .filter(([, entry]) => entry.lts && entry.lts <= today && !this.getSupportStatus(entry, now).eol)
+                .map(([line]) => Number(line))
+                .sort((a, b) => b - a);
+            if (ltsMajors.length > 0) {
+                target = newest(releases.filter(release => inLine(release, ltsMajors[0])));
+            }
+        } else {
+            target = newest(newer);
+        }
+
+        // Releases keep the LTS flag they were published with, the schedule knows lines promoted since
+        const targetEntry = target ? schedule[VersionSpec.toParts(target.version)[0]] : null;
+        const targetLts = target && target.lts
+            ? target.lts
+            : (targetEntry && targetEntry.lts && targetEntry.lts <= today ? targetEntry.codename || null : null);
+
+        return {
+            version: String(version).replace(/^v/, ''),
+            status,
+            eol: status.eol,
+            securityFix: securityFix ? securityFix.version : null,
+            target: target ? target.version : null,
+            targetLts
+        };
+    }
+
+    /**
+     * Read the snapshot bundled with the extension
+     * @returns {{generatedAt: string, schedule: object, releases: object[]}|null}
+     */
+    static readSnapshot() {
+        try {
+            return JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+        } catch (error) {
+            console.error('Failed to read bundled release snapshot:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the support status of a major line on a given date
+     * @param {object} entry - Schedule entry of the line
+     * @param {Date} now - Date to check
+     * @returns {{label: string, eol: boolean, until: string|null}} e.g. { label: 'Active LTS', eol: false, until: '2025-10-21' }
+     */
+    static getSupportStatus(entry, now = new Date()) {
+        if (!entry) {
+            return { label: 'Unknown', eol: false, until: null };
+        }
+
+        const today = now.toISOString().slice(0, 10);
+        if (entry.end && entry.end <= today) {
+            return { label: 'End-of-life', eol: true, until: entry.end };
+        }
+        if (entry.maintenance && entry.maintenance <= today) {
+            return { label: entry.lts ? 'Maintenance LTS' : 'Maintenance', eol: false, until: entry.end };
+        }
+        if (entry.lts && entry.lts <= today) {
+            return { label: 'Active LTS', eol: false, until: entry.maintenance || entry.end };
+        }
+        return { label: 'Current', eol: false, until: entry.lts || entry.maintenance || entry.end };
+    }
+
+    /**
+     * Fetch a listing and cache it, or read the cached copy when the fetch fails
+     * @param {string} fileName - Cache file name in global storage
+     * @param {string} source - Where the listing comes from; a cache from another source (e.g. before
+     *   the mirror setting changed) is not used
+     * @param {Function} fetch - Fetches the listing
+     * @returns {Promise<{data: *, fetchedAt: string, cached: boolean}>}
+     */
+    static async getCached(fileName, source, fetch) {
+        try {
+            const data = await fetch();
+            const fetchedAt = new Date().toISOString();
+            this.writeCache(fileName, { source, fetchedAt, data });
+            return { data, fetchedAt, cached: false };
+        } catch (error) {
+            const cache = this.readCache(fileName);
+            if (!cache || cache.source !== source) {
+                throw error;
+            }
+            console.error(`Using cached ${fileName} from ${cache.fetchedAt}:`, error.message);
+            return { data: cache.data, fetchedAt: cache.fetchedAt, cached: true };
+        }
+    }
+
+    /**
+     * Read a cached listing from global storage
+     * @returns {object|null} { source, fetchedAt, data }, or null if there is none
+     */
+    static readCache(fileName) {
+        if (!cacheDir) {
+            return null;
+        }
+        try {
+            const cache = JSON.parse(fs.readFileSync(path.join(cacheDir, fileName), 'utf8'));
+            return cache && cache.data ? cache : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Write a listing to global storage
+     */
+    static writeCache(fileName, data) {
+        if (!cacheDir) {
+            return;
+        }
+        try {
+            fs.mkdirSync(cacheDir, { recursive: true });
+            fs.writeFileSync(path.join(cacheDir, fileName), JSON.stringify(data));
+        } catch (error) {
+            console.error(`Failed to cache ${fileName}:`, error);
+        }
+    }
+
+    /**
+     * Fetch and parse a JSON document over https
+     * Redirects are followed (mirrors often redirect to a CDN) and the request fails after REQUEST_TIMEOUT_MS without data
+     * @param {string} url - Document URL
+     * @param {number} redirects - Redirects followed so far
+     */
+    static fetchJson(url, redirects = 0) {
+        return new Promise((resolve, reject) => {
+            const req = https.get(url, (res) => {
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                    res.resume();
+                    if (redirects >= MAX_REDIRECTS) {
+                        reject(new Error(`Request to ${url} was redirected too many times (last to ${res.headers.location})`));
+                        return;
+                    }
+                    resolve(this.fetchJson(new URL(res.headers.location, url).toString(), redirects + 1));
+                    return;
+                }
+
+                if (res.statusCode !== 200) {
+                    res.resume();
+                    reject(new Error(`Request to ${url} failed with status ${res.statusCode}`));
+                    return;
+                }
+
+                let data = '';
+
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+
+                res.on('end', () => {
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (error) {
+                        reject(new Error(`Failed to parse response from ${url}: ${error.message}`));
+                    }
+                });
+            });
+            req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`Timed out fetching ${url}`)));
+            req.on('error', reject);
+        });
+    }
+}
+
+module.exports = NodeReleases;
@@ -0,0 +1,76 @@
+const path = require('path');
+const vscode = require('vscode');
+const VersionSpec = require('./version-spec');
+const NodeReleases = require('./node-releases');
+const InstallRunner = require('./install-runner');
+
+/**
+ * Helper class for running tools under a specific installed Node version without switching globally
+ */
+class NodeRuntime {
+    /**
+     * Resolve a spec to an installed version, offering to install it first if needed
+     * @param {BaseVersionManager} manager - Version manager that owns the versions
+     * @param {string} spec - Version spec (e.g., '20', '20.10.0', 'lts/iron')
+     * @param {string} source - Where the spec came from, shown in the prompt
+     * @returns {Promise<string|null>} Installed version, or null if the user declined or cancelled
+     */
+    static async ensureInstalled(manager, spec, source) {
+        if (!VersionSpec.isSupported(spec)) {
+            throw new Error(`Invalid Node version ${JSON.stringify(spec)} in ${source}`);
+        }
+
+        const installedVersions = await manager.getInstalledVersions();
+        const installed = VersionSpec.resolve(spec, installedVersions);
+        if (installed) {
+            return installed.version;
+        }
+
+        const releases = await NodeReleases.getReleases(manager);
+        const resolved = VersionSpec.resolve(spec, installedVersions, releases);
+        if (!resolved) {
+            throw new Error(`No Node release matches ${spec} from ${source}`);
+        }
+
+        const action = await vscode.window.showInformationMessage(
+            `Node ${spec} from ${source} is not installed. Install Node ${resolved.version}?`,
+            { modal: true },
+            'Install'
+        );
+        if (action !== 'Install') {
+            return null;
+        }
+
+        const completed = await InstallRunner.install(manager, resolved.version);
+        return completed ? resolved.version : null;
+    }
+
+    /**
+     * Get the bin directory of an installed version, failing with a readable error
+     */
+    static getBinDir(manager, version) {
+        const binDir = manager.getBinDir(version);
+        if (!binDir) {
+            throw new Error(`Could not find the installation of Node ${version} (managed by ${manager.getDisplayName()})`);
+        }
+        return binDir;
+    }
+
+    /**
+     * Prepend a directory to PATH in an environment object
+     * Missing variables are taken from the extension host's environment
+     */
+    static prependPath(env = {}, binDir) {
+        // Windows spells it Path, keep whatever key the environment already uses
+        const key = Object.keys(env).find(name => name.toUpperCase() === 'PATH') ||
+            Object.keys(process.env).find(name => name.toUpperCase() === 'PATH') ||
+            'PATH';
+        const current = env[key] !== undefined && env[key] !== null ? env[key] : process.env[key];
+        return {
+            ...env,
+            [key]: current ? `${binDir}${path.delimiter}${current}` : binDir
+        };
+    }
+}
+
+module.exports = NodeRuntime;
@@ -1,9 +1,6 @@
-const { exec } = require('child_process');
-const util = require('util');
 const os = require('os');
 const vscode = require('vscode');
-
-const execPromise = util.promisify(exec);
+const CommandRunner = require('./command-runner');
 
 /**
  * Helper class for managing Node.js processes
@@ -19,8 +16,9 @@ class ProcessHelper {
         if (platform !== 'win32') {
             // On Unix-like systems, use ps
             try {
-                const { stdout } = await execPromise('ps aux | grep node | grep -v grep');
-                const lines = stdout.trim().split('\n').filter(line => line.length > 0);
+                const { stdout } = await CommandRunner.run('ps', ['aux']);
+                // Skip the header line and keep node processes
+                const lines = stdout.trim().split('\n').slice(1).filter(line => line.includes('node'));
                 return lines.map(line => {
                     const parts = line.trim().split(/\s+/);
                     return {
@@ -35,7 +33,7 @@ class ProcessHelper {
         } else {
             // On Windows, use tasklist
             try {
-                const { stdout } = await execPromise('tasklist /FI "IMAGENAME eq node.exe" /FO CSV /NH');
+                const { stdout } = await CommandRunner.run('tasklist', ['/FI', 'IMAGENAME eq node.exe', '/FO', 'CSV', '/NH']);
                 const lines = stdout.trim().split('\n').filter(line => line.includes('node.exe'));
                 return lines.map(line => {
                     // Parse CSV format: "node.exe","PID","Session Name","Session#","Mem Usage"
@@ -65,10 +63,10 @@ class ProcessHelper {
         try {
             if (platform === 'win32') {
                 // On Windows, use taskkill
-                await execPromise('taskkill /F /IM node.exe /T');
+                await CommandRunner.run('taskkill', ['/F', '/IM', 'node.exe', '/T']);
             } else {
                 // On Unix-like systems, use pkill
-                await execPromise('pkill -9 node');
+                await CommandRunner.run('pkill', ['-9', 'node']);
             }
             return true;
         } catch (error) {
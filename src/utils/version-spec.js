@@ -0,0 +1,414 @@
+// Version formats accepted by the managers: 20, v20.10, 20.10.0, 22.0.0-rc.1,
+// lts, lts/*, lts/iron, lts/-1, lts-iron, latest, node, stable, current, nightly, rc
+const VERSION_SPEC_PATTERN = /^(v?\d+(\.\d+){0,2}(-[0-9A-Za-z.]+)?|lts(\/(\*|-\d+|[a-z]+)|-[a-z]+)?|latest|node|stable|current|nightly|rc)$/i;
+
+// LTS codenames by major, used when no release metadata is available
+const LTS_CODENAMES = {
+    argon: 4,
+    boron: 6,
+    carbon: 8,
+    dubnium: 10,
+    erbium: 12,
+    fermium: 14,
+    gallium: 16,
+    hydrogen: 18,
+    iron: 20,
+    jod: 22,
+    krypton: 24
+};
+
+// Aliases that mean "the newest release"
+const LATEST_ALIASES = ['latest', 'node', 'stable', 'current'];
+
+// Aliases that can't be resolved against a version list (handled by the manager itself)
+const OPAQUE_ALIASES = ['system', 'nightly', 'rc'];
+
+/**
+ * Helper class for Node version specs
+ * Understands the formats of nvm, fnm, volta, mise and package.json engines.node:
+ * exact and partial versions, lts aliases, latest aliases and semver ranges
+ */
+class VersionSpec {
+    /**
+     * Check if a string is a version spec that can be handed to a manager CLI
+     * Ranges are not accepted here, they must be resolved to a version first
+     * @param {string} spec - Version spec (e.g., '20', 'v20.10.0', 'lts/iron')
+     * @returns {boolean} True if the spec is valid
+     */
+    static isValid(spec) {
+        return typeof spec === 'string' && VERSION_SPEC_PATTERN.test(spec.trim());
+    }
+
+    /**
+     * Validate a version spec and remove the 'v' prefix
+     * @param {string} spec - Version spec from user input or a project file
+     * @returns {string} Cleaned version spec (e.g., '20.10.0')
+     * @throws {Error} If the spec is not a recognised version format
+     */
+    static clean(spec) {
+        if (!this.isValid(spec)) {
+            throw new Error(`Invalid Node version: ${JSON.stringify(spec)}`);
+        }
+        return spec.trim().replace(/^v(?=\d)/i, '');
+    }
+
+    /**
+     * Check if a spec can be understood, including semver ranges such as '>=18 <21' or '^20.10'
+     * @param {string} spec - Version spec
+     * @returns {boolean} True if the spec parses
+     */
+    static isSupported(spec) {
+        return this.parse(spec) !== null;
+    }
+
+    /**
+     * Parse a version spec
+     * @param {string} spec - Version spec
+     * @returns {object|null} One of:
+     *   { type: 'lts', codename } or { type: 'lts', offset },
+     *   { type: 'latest' },
+     *   { type: 'alias', name } for aliases that can't be resolved locally,
+     *   { type: 'range', sets } where sets is a list of comparator lists (OR of ANDs),
+     *   or null if the spec is not understood
+     */
+    static parse(spec) {
+        if (typeof spec !== 'string') {
+            return null;
+        }
+
+        // Accept volta-style 'node@20' as well
+        const normalized = spec.trim().toLowerCase().replace(/^node@/, '');
+        if (!normalized) {
+            return null;
+        }
+
+        if (normalized === 'lts' || normalized === 'lts/*' || normalized === 'lts-latest') {
+            return { type: 'lts', offset: 0 };
+        }
+
+        const ltsOffset = normalized.match(/^lts\/-(\d+)$/);
+        if (ltsOffset) {
+            return { type: 'lts', offset: Number(ltsOffset[1]) };
+        }
+
+        const ltsName = normalized.match(/^lts[/-]([a-z]+)$/);
+        if (ltsName) {
+            return { type: 'lts', codename: ltsName[1] };
+        }
+
+        if (LATEST_ALIASES.includes(normalized)) {
+            return { type: 'latest' };
+        }
+
+        if (OPAQUE_ALIASES.includes(normalized)) {
+            return { type: 'alias', name: normalized };
+        }
+
+        const sets = [];
+        for (const part of normalized.split('||')) {
+            const comparators = this.parseComparatorSet(part.trim());
+            if (!comparators) {
+                return null;
+            }
+            sets.push(comparators);
+        }
+
+        return { type: 'range', sets };
+    }
+
+    /**
+     * Parse one AND-ed set of a range (e.g., '>=18 <21', '^20.10', '18 - 20')
+     * @returns {object[]|null} Comparators { op, version } where version is [major, minor, patch]
+     */
+    static parseComparatorSet(set) {
+        if (set === '' || set === '*' || set === 'x') {
+            return [];
+        }
+
+        // Hyphen range: A - B
+        const hyphen = set.match(/^(\S+)\s+-\s+(\S+)$/);
+        if (hyphen) {
+            const from = this.parsePartial(hyphen[1]);
+            const to = this.parsePartial(hyphen[2]);
+            if (!from || !to) {
+                return null;
+            }
+            return [
+                { op: '>=', version: this.fill(from) },
+                this.upperBound(to, true)
+            ];
+        }
+
+        // Allow a space between operator and version (e.g., '>= 18')
+        const tokens = set.replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/);
+        const comparators = [];
+        for (const token of tokens) {
+            const parsed = this.parseComparator(token);
+            if (!parsed) {
+                return null;
+            }
+            comparators.push(...parsed);
+        }
+        return comparators;
+    }
+
+    /**
+     * Desugar a single comparator token into primitive comparators
+     */
+    static parseComparator(token) {
+        const match = token.match(/^(>=|<=|>|<|=|\^|~)?(.+)$/);
+        if (!match) {
+            return null;
+        }
+
+        const op = match[1] || '';
+        const partial = this.parsePartial(match[2]);
+        if (!partial) {
+            return null;
+        }
+
+        const [major, minor, patch] = partial;
+        if (major === null) {
+            // '*' with any operator matches everything (except '<*' which matches nothing useful)
+            return op === '<' ? null : [];
+        }
+
+        switch (op) {
+            case '':
+            case '=':
+                if (patch !== null) {
+                    return [{ op: '=', version: partial }];
+                }
+                return [
+                    { op: '>=', version: this.fill(partial) },
+                    this.upperBound(partial, false)
+                ];
+            case '^': {
+                const lower = { op: '>=', version: this.fill(partial) };
+                if (major > 0 || minor === null) {
+                    return [lower, { op: '<', version: [major + 1, 0, 0] }];
+                }
+                if (minor > 0 || patch === null) {
+                    return [lower, { op: '<', version: [0, minor + 1, 0] }];
+                }
+                return [lower, { op: '<', version: [0, 0, patch + 1] }];
+            }
+            case '~':
+                return [
+                    { op: '>=', version: this.fill(partial) },
+                    minor === null
+                        ? { op: '<', version: [major + 1, 0, 0] }
+                        : { op: '<', version: [major, minor + 1, 0] }
+                ];
+            case '>=':
+                return [{ op: '>=', version: this.fill(partial) }];
+            case '>':
+                if (patch !== null) {
+                    return [{ op: '>', version: partial }];
+                }
+                return [{ op: '>=', version: this.upperBound(partial, false).version }];
+            case '<':
+                return [{ op: '<', version: this.fill(partial) }];
+            case '<=':
+                return [this.upperBound(partial, true)];
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse a possibly partial version (20, 20.x, 20.10, v20.10.1) into [major, minor, patch]
+     * Missing or wildcard parts are null
+     */
+    static parsePartial(text) {
+        const match = text.replace(/^v/, '').match(/^(\d+|x|\*)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-[0-9a-z.]+)?$/);
+        if (!match) {
+            return null;
+        }
+
+        const parts = [match[1], match[2], match[3]].map(part =>
+            part === undefined || part === 'x' || part === '*' ? null : Number(part)
+        );
+
+        // Anything after a wildcard is a wildcard too
+        for (let i = 1; i < parts.length; i++) {
+            if (parts[i - 1] === null) {
+                parts[i] = null;
+            }
+        }
+        return parts;
+    }
+
+    /**
+     * Fill missing parts of a partial version with zeros
+     */
+    static fill(partial) {
+        return partial.map(part => part === null ? 0 : part);
+    }
+
+    /**
+     * Get the upper bound comparator for a partial version
+     * A full version is included with '<=' when inclusive; partial versions exclude the next line
+     */
+    static upperBound(partial, inclusive) {
+        const [major, minor, patch] = partial;
+        if (patch !== null) {
+            return inclusive ? { op: '<=', version: partial } : { op: '<', version: partial };
+        }
+        if (minor !== null) {
+            return { op: '<', version: [major, minor + 1, 0] };
+        }
+        return { op: '<', version: [major + 1, 0, 0] };
+    }
+
+    /**
+     * Split a version string into [major, minor, patch]
+     * @returns {number[]|null}
+     */
+    static toParts(version) {
+        const match = String(version).trim().replace(/^v/, '').match(/^(\d+)\.(\d+)\.(\d+)/);
+        return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+    }
+
+    /**
+     * Compare two versions
+     * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+     */
+    static compare(a, b) {
+        const pa = Array.isArray(a) ? a : this.toParts(a) || [0, 0, 0];
+        const pb = Array.isArray(b) ? b : this.toParts(b) || [0, 0, 0];
+        return (pa[0] - pb[0]) || (pa[1] - pb[1]) || (pa[2] - pb[2]);
+    }
+
+    /**
+     * Sort versions newest first, dropping duplicates
+     * @param {string[]} versions - Version strings
+     * @returns {string[]}
+     */
+    static sort(versions) {
+        return [...new Set(versions)].sort((a, b) => this.compare(b, a));
+    }
+
+    /**
+     * Get LTS majors newest first, from release metadata when available
+     * @param {Array<string|object>} releases - Release strings or { version, lts } objects
+     * @returns {{ majors: number[], codenames: object }}
+     */
+    static getLtsInfo(releases = []) {
+        const codenames = { ...LTS_CODENAMES };
+        for (const release of releases) {
+            if (release && typeof release === 'object' && release.lts) {
+                const parts = this.toParts(release.version);
+                if (parts) {
+                    codenames[String(release.lts).toLowerCase()] = parts[0];
+                }
+            }
+        }
+
+        const majors = [...new Set(Object.values(codenames))].sort((a, b) => b - a);
+        return { majors, codenames };
+    }
+
+    /**
+     * Check if a version satisfies a spec
+     * @param {string} version - Concrete version (e.g., '20.10.0')
+     * @param {string|object} spec - Version spec or a parsed spec
+     * @param {object} context - { installed, remote } lists, needed for 'latest' aliases
+     * @returns {boolean}
+     */
+    static satisfies(version, spec, context = {}) {
+        const parsed = typeof spec === 'string' ? this.parse(spec) : spec;
+        const parts = this.toParts(version);
+        if (!parsed || !parts) {
+            return false;
+        }
+
+        switch (parsed.type) {
+            case 'range':
+                return parsed.sets.some(set => set.every(comparator => this.test(parts, comparator)));
+            case 'lts': {
+                const major = this.getLtsMajor(parsed, context.remote);
+                return major !== null && parts[0] === major;
+            }
+            case 'latest': {
+                const newest = this.sort([
+                    ...(context.installed || []),
+                    ...(context.remote || []).map(release => this.releaseVersion(release))
+                ].filter(v => this.toParts(v)))[0];
+                return !newest || this.compare(parts, newest) >= 0;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Test version parts against a primitive comparator
+     */
+    static test(parts, comparator) {
+        const result = this.compare(parts, comparator.version);
+        switch (comparator.op) {
+            case '=': return result === 0;
+            case '>': return result > 0;
+            case '>=': return result >= 0;
+            case '<': return result < 0;
+            case '<=': return result <= 0;
+            default: return false;
+        }
+    }
+
+    /**
+     * Get the major targeted by a parsed lts spec, or null if unknown
+     */
+    static getLtsMajor(parsed, releases = []) {
+        const { majors, codenames } = this.getLtsInfo(releases);
+        if (parsed.codename) {
+            return codenames[parsed.codename] !== undefined ? codenames[parsed.codename] : null;
+        }
+        return majors[parsed.offset] !== undefined ? majors[parsed.offset] : null;
+    }
+
+    /**
+     * Get the version string of a release entry
+     */
+    static releaseVersion(release) {
+        const version = release && typeof release === 'object' ? release.version : release;
+        return String(version).replace(/^v/, '');
+    }
+
+    /**
+     * Resolve a spec to the best matching version
+     * Installed versions are preferred; the remote list is only used when nothing installed matches
+     * @param {string} spec - Version spec
+     * @param {string[]} installed - Installed versions
+     * @param {Array<string|object>} remote - Remote versions or { version, lts } release objects
+     * @returns {{ version: string, installed: boolean }|null} Best match, or null if nothing matches
+     */
+    static resolve(spec, installed = [], remote = []) {
+        const parsed = this.parse(spec);
+        if (!parsed || parsed.type === 'alias') {
+            return null;
+        }
+
+        const context = { installed, remote };
+        const remoteVersions = remote.map(release => this.releaseVersion(release));
+
+        // 'latest' means the newest installed version first, like nvm's 'node' alias
+        const latestContext = parsed.type === 'latest' ? { installed } : context;
+        const installedMatch = this.sort(installed.filter(v => this.toParts(v)))
+            .find(v => this.satisfies(v, parsed, latestContext));
+        if (installedMatch) {
+            return { version: installedMatch, installed: true };
+        }
+
+        const remoteMatch = this.sort(remoteVersions.filter(v => this.toParts(v)))
+            .find(v => this.satisfies(v, parsed, { remote }));
+        if (remoteMatch) {
+            return { version: remoteMatch, installed: false };
+        }
+
+        return null;
+    }
+}
+
+module.exports = VersionSpec;
@@ -0,0 +1,64 @@
+const vscode = require('vscode');
+
+/**
+ * Helper class for resolving workspace folders in single and multi-root workspaces
+ */
+class WorkspaceHelper {
+    /**
+     * Get all workspace folder paths
+     * @returns {string[]}
+     */
+    static getFolderPaths() {
+        const workspaceFolders = vscode.workspace.workspaceFolders;
+        return workspaceFolders ? workspaceFolders.map(folder => folder.uri.fsPath) : [];
+    }
+
+    /**
+     * Get the workspace folder of the active editor, falling back to the first folder
+     * @returns {string|null} Folder path, or null if no folder is open
+     */
+    static getActiveFolderPath() {
+        const editor = vscode.window.activeTextEditor;
+        if (editor && editor.document && typeof vscode.workspace.getWorkspaceFolder === 'function') {
+            const folder = vscode.workspace.getWorkspaceFolder(editor.document.uri);
+            if (folder) {
+                return folder.uri.fsPath;
+            }
+        }
+
+        const [first] = WorkspaceHelper.getFolderPaths();
+        return first || null;
+    }
+
+    /**
+     * Get the folder a local version is written to
+     * @param {string|null} folderPath - Explicit target folder, defaults to the active folder
+     * @returns {string} Folder path
+     */
+    static getLocalFolderPath(folderPath = null) {
+        const target = folderPath || WorkspaceHelper.getActiveFolderPath();
+        if (!target) {
+            throw new Error('No workspace folder open. Please open a folder first.');
+        }
+        return target;
+    }
+
+    /**
+     * Ask which folder to target when more than one folder is open
+     * @returns {Promise<string|null|undefined>} Folder path, null if no folder is open, undefined if cancelled
+     */
+    static async pickFolderPath(placeHolder = 'Select the workspace folder') {
+        const workspaceFolders = vscode.workspace.workspaceFolders;
+        if (!workspaceFolders || workspaceFolders.length === 0) {
+            return null;
+        }
+        if (workspaceFolders.length === 1) {
+            return workspaceFolders[0].uri.fsPath;
+        }
+
+        const folder = await vscode.window.showWorkspaceFolderPick({ placeHolder });
+        return folder ? folder.uri.fsPath : undefined;
+    }
+}
+
+module.exports = WorkspaceHelper;
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+
+/**
+ * Read a file, returning null if it can't be read
+ */
+function readText(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse package.json, returning null for invalid JSON
+ */
+function parsePackageJson(content) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a plain version file (.nvmrc, .node-version)
+ * Supports formats: 20, v20, 20.10.0, lts/iron
+ */
+function parsePlainVersion(content) {
+    // Use the first line, ignoring comments
+    const line = content
+        .split(/\r?\n/)
+        .map(l => l.replace(/#.*$/, '').trim())
+        .find(l => l);
+    return line || null;
+}
+
+/**
+ * Parse the node version from a .tool-versions file
+ * Format: one "<tool> <version> [fallback...]" entry per line, e.g. "nodejs 20.10.0" (mise also accepts "node")
+ */
+function parseToolVersions(content) {
+    for (const line of content.split(/\r?\n/)) {
+        // Strip comments and split into tool and versions
+        const parts = line.replace(/#.*$/, '').trim().split(/\s+/);
+        if ((parts[0] === 'nodejs' || parts[0] === 'node') && parts[1]) {
+            return parts[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse the node version from the [tools] table of mise.toml
+ * Supports node = "20", node = ["20", "18"] and node = { version = "20" }
+ */
+function parseMiseToml(content) {
+    let inTools = false;
+    for (const line of content.split(/\r?\n/)) {
+        const trimmed = line.replace(/#.*$/, '').trim();
+        const table = trimmed.match(/^\[([^\]]+)\]$/);
+        if (table) {
+            inTools = table[1].trim() === 'tools';
+            continue;
+        }
+        // Dotted keys like tools.node = "20" work outside the table too
+        const key = inTools ? '(?:"?node(?:js)?"?)' : '(?:tools\\.node(?:js)?)';
+        const match = trimmed.match(new RegExp(`^${key}\\s*=\\s*(.+)$`));
+        if (match) {
+            const value = match[1].match(/["']([^"']+)["']/);
+            return value ? value[1] : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse the node version from a .prototools file
+ * Only top-level keys are tool pins, e.g. node = "20.10.0"; [settings] and other tables are skipped
+ */
+function parsePrototools(content) {
+    for (const line of content.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('[')) {
+            // Reached the first table, no more top-level pins
+            break;
+        }
+        const match = trimmed.match(/^node\s*=\s*["']([^"']+)["']/);
+        if (match) {
+            return match[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse Volta configuration from package.json
+ */
+function parseVoltaConfig(content) {
+    const packageJson = parsePackageJson(content);
+    if (packageJson && packageJson.volta && typeof packageJson.volta.node === 'string') {
+        return packageJson.volta.node;
+    }
+    return null;
+}
+
+/**
+ * Parse the engines.node requirement from package.json, e.g. ">=18 <21" or "^20.10.0"
+ */
+function parseEnginesConfig(content) {
+    const packageJson = parsePackageJson(content);
+    if (packageJson && packageJson.engines && typeof packageJson.engines.node === 'string') {
+        return packageJson.engines.node;
+    }
+    return null;
+}
+
+/**
+ * Parse pnpm's use-node-version setting from .npmrc
+ */
+function parseNpmrc(content) {
+    for (const line of content.split(/\r?\n/)) {
+        const match = line.trim().match(/^use-node-version\s*=\s*(.+)$/);
+        if (match) {
+            return match[1].trim().replace(/^["']|["']$/g, '');
+        }
+    }
+    return null;
+}
+
+/**
+ * Registry of project version-file readers
+ *
+ * A reader describes one source of a project's Node version:
+ * - id: stable identifier, used by managers' getVersionFiles() and the versionFilePrecedence setting
+ * - fileNames: file names looked up in each directory
+ * - label: name shown in prompts
+ * - parse(content): returns the raw version spec in a file's content, or null
+ * - read(filePath): reads and parses a file, added by register()
+ * - requirement: the value is a requirement (engines) and is always resolved to a concrete version
+ * - fallback: only used when no other version file is found
+ */
+class VersionFileRegistry {
+    constructor() {
+        this.readers = new Map();
+    }
+
+    /**
+     * Create a registry with every built-in reader
+     */
+    static createDefault() {
+        const registry = new VersionFileRegistry();
+        registry.register({ id: 'nvmrc', fileNames: ['.nvmrc'], label: '.nvmrc', parse: parsePlainVersion });
+        registry.register({ id: 'node-version', fileNames: ['.node-version'], label: '.node-version', parse: parsePlainVersion });
+        registry.register({ id: 'tool-versions', fileNames: ['.tool-versions'], label: '.tool-versions', parse: parseToolVersions });
+        registry.register({ id: 'mise', fileNames: ['mise.toml', '.mise.toml'], label: 'mise.toml', parse: parseMiseToml });
+        registry.register({ id: 'prototools', fileNames: ['.prototools'], label: '.prototools', parse: parsePrototools });
+        registry.register({ id: 'volta', fileNames: ['package.json'], label: 'package.json (Volta)', parse: parseVoltaConfig });
+        registry.register({ id: 'npmrc', fileNames: ['.npmrc'], label: '.npmrc use-node-version', parse: parseNpmrc });
+        registry.register({
+            id: 'engines',
+            fileNames: ['package.json'],
+            label: 'package.json engines.node',
+            parse: parseEnginesConfig,
+            requirement: true,
+            fallback: true
+        });
+        return registry;
+    }
+
+    /**
+     * Register a version-file reader, replacing any reader with the same id
+     */
+    register(reader) {
+        if (!reader || !reader.id || !Array.isArray(reader.fileNames) || typeof reader.parse !== 'function') {
+            throw new Error('A version file reader needs an id, fileNames and a parse() function');
+        }
+        this.readers.set(reader.id, {
+            ...reader,
+            read: (filePath) => {
+                const content = readText(filePath);
+                return content === null ? null : reader.parse(content);
+            }
+        });
+    }
+
+    /**
+     * Get the readers a manager understands, in precedence order
+     * Ids listed in the versionFilePrecedence setting come first, the rest keep the manager's own order
+     */
+    getReaders(manager) {
+        const supported = manager && typeof manager.getVersionFiles === 'function'
+            ? manager.getVersionFiles()
+            : [...this.readers.keys()];
+
+        const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+        const precedence = config.get('versionFilePrecedence', []);
+        const rank = (id) => {
+            const index = precedence.indexOf(id);
+            return index >= 0 ? index : precedence.length + supported.indexOf(id);
+        };
+
+        return [...this.readers.values()]
+            .filter(reader => supported.includes(reader.id))
+            .sort((a, b) => rank(a.id) - rank(b.id));
+    }
+
+    /**
+     * Find the version file that applies to a directory
+     * The nearest directory wins; within a directory the precedence order decides.
+     * Fallback readers are only consulted when no other file is found.
+     * @returns {{version: string, filePath: string, reader: object, source: string}|null}
+     */
+    find(startDir, manager) {
+        const readers = this.getReaders(manager);
+        const primary = readers.filter(reader => !reader.fallback);
+        const fallback = readers.filter(reader => reader.fallback);
+
+        return this.findWith(startDir, primary) || this.findWith(startDir, fallback);
+    }
+
+    /**
+     * Traverse up the directory tree looking for a file one of the readers can read
+     */
+    findWith(startDir, readers) {
+        if (readers.length === 0) {
+            return null;
+        }
+
+        let currentDir = startDir;
+        const root = path.parse(currentDir).root;
+
+        while (currentDir !== root) {
+            for (const reader of readers) {
+                for (const fileName of reader.fileNames) {
+                    const filePath = path.join(currentDir, fileName);
+                    if (!fs.existsSync(filePath)) {
+                        continue;
+                    }
+                    const version = reader.read(filePath);
+                    if (version && version.trim()) {
+                        return {
+                            // Remove 'v' prefix if present
+                            version: version.trim().replace(/^v(?=\d)/, ''),
+                            filePath,
+                            reader,
+                            source: fileName === 'package.json' || reader.fileNames.length === 1
+                                ? reader.label
+                                : fileName
+                        };
+                    }
+                }
+            }
+            currentDir = path.dirname(currentDir);
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a changed file holds a version one of the manager's readers understands
+     */
+    hasVersion(filePath, manager) {
+        const fileName = path.basename(filePath);
+        return this.getReaders(manager)
+            .filter(reader => reader.fileNames.includes(fileName))
+            .some(reader => Boolean(reader.read(filePath)));
+    }
+
+    /**
+     * Point a version file returned by find() at another version, leaving the rest of the file untouched
+     * Each occurrence of the old version is tried until the reader parses the new version back,
+     * so e.g. an engines range mentioning the same version is not what gets changed
+     * @param {{version: string, filePath: string, reader: object}} found - Result of find() with an exact version
+     * @param {string} version - New version (e.g., '22.11.1')
+     * @returns {boolean} True if the file was rewritten
+     */
+    replaceVersion(found, version) {
+        const content = found.reader.requirement ? null : readText(found.filePath);
+        if (content === null) {
+            return false;
+        }
+
+        const escaped = found.version.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(^|[^\\w.])(v?)${escaped}(?![\\w.])`, 'g');
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            const start = match.index + match[1].length;
+            const candidate = content.slice(0, start) + match[2] + version + content.slice(match.index + match[0].length);
+            const parsed = found.reader.parse(candidate);
+            if (parsed && parsed.trim().replace(/^v(?=\d)/, '') === version) {
+                fs.writeFileSync(found.filePath, candidate);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get a glob matching every file the manager's readers look at, for file watchers
+     */
+    getWatchGlob(manager) {
+        const fileNames = new Set();
+        for (const reader of this.getReaders(manager)) {
+            reader.fileNames.forEach(fileName => fileNames.add(fileName));
+        }
+        const names = [...fileNames];
+        return names.length === 1 ? `**/${names[0]}` : `**/{${names.join(',')}}`;
+    }
+}
+
+module.exports = VersionFileRegistry;
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+const VersionSpec = require('./utils/version-spec');
+const NodeRuntime = require('./utils/node-runtime');
+const DiskUsage = require('./utils/disk-usage');
+const WorkspaceHelper = require('./utils/workspace-helper');
+
+const VIEW_ID = 'fastNodeSwitcher.versions';
+
+/**
+ * "Node Versions" view listing every detected manager with its installed versions and aliases
+ * Version items carry their available actions in contextValue (e.g. "version:global:local:reveal"),
+ * which package.json menus match with regular expressions
+ */
+class VersionTreeProvider {
+    constructor(detector, statusBarManager, commands) {
+        this.detector = detector;
+        this.statusBarManager = statusBarManager;
+        this.commands = commands;
+
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+    }
+
+    /**
+     * Register the view and its item actions
+     */
+    register(context) {
+        const actions = {
+            'fast-node-switcher.useVersionGlobally': item => this.useVersion(item, 'global'),
+            'fast-node-switcher.useVersionLocally': item => this.useVersion(item, 'local'),
+            'fast-node-switcher.setDefaultVersion': item => this.setDefault(item),
+            'fast-node-switcher.uninstallVersion': item => this.uninstall(item),
+            'fast-node-switcher.revealVersion': item => this.reveal(item),
+            'fast-node-switcher.openTerminalWithVersion': item => this.openTerminal(item)
+        };
+
+        context.subscriptions.push(
+            vscode.window.createTreeView(VIEW_ID, { treeDataProvider: this, showCollapseAll: true }),
+            ...Object.entries(actions).map(([command, action]) => vscode.commands.registerCommand(command, action)),
+            this
+        );
+    }
+
+    /**
+     * Reload the whole tree
+     */
+    refresh() {
+        this.changeEmitter.fire();
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    /**
+     * Managers at the root, then versions and an aliases group per manager
+     */
+    async getChildren(element) {
+        try {
+            if (!element) {
+                return await this.getManagerItems();
+            }
+            if (element.kind === 'manager') {
+                return await this.getManagerChildren(element.manager);
+            }
+            if (element.kind === 'aliases') {
+                return element.aliases.map(alias => this.createAliasItem(element.manager, alias));
+            }
+            return [];
+        } catch (error) {
+            const item = new vscode.TreeItem(`Failed to load: ${error.message}`);
+            item.iconPath = new vscode.ThemeIcon('error');
+            return [item];
+        }
+    }
+
+    /**
+     * One item per detected manager, the active one first and expanded
+     */
+    async getManagerItems() {
+        const activeManager = this.detector.getActiveManager();
+        const managers = await this.detector.detectAvailableManagers();
+        const ordered = activeManager
+            ? [activeManager, ...managers.filter(m => m.name !== activeManager.name)]
+            : managers;
+
+        return ordered.map(manager => {
+            const isActive = activeManager && manager.name === activeManager.name;
+            const item = new vscode.TreeItem(
+                manager.getDisplayName(),
+                isActive ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed
+            );
+            item.kind = 'manager';
+            item.manager = manager;
+            item.id = `manager:${manager.name}`;
+            item.description = isActive ? 'active' : undefined;
+            item.tooltip = manager.getBinaryPath() || manager.getDisplayName();
+            item.iconPath = new vscode.ThemeIcon(isActive ? 'pass-filled' : 'tools');
+            item.contextValue = manager.supportsAliases() ? 'manager:alias' : 'manager';
+            return item;
+        });
+    }
+
+    /**
+     * Installed versions newest first, followed by the manager's aliases
+     */
+    async getManagerChildren(manager) {
+        const folderPath = WorkspaceHelper.getActiveFolderPath();
+        const [installedVersions, currentVersion, defaultVersion] = await Promise.all([
+            manager.getInstalledVersions(),
+            manager.getCurrentVersion(folderPath),
+            manager.getDefaultVersion()
+        ]);
+
+        const current = currentVersion ? String(currentVersion).replace(/^v/, '') : null;
+        const items = VersionSpec.sort(installedVersions.map(version => String(version).replace(/^v/, '')))
+            // Leave out versions a manager lists but that aren't on disk, their actions would all fail
+            .filter(version => manager.getInstallDirs(version).length === 0 || this.getInstallDir(manager, version))
+            .map(version => this.createVersionItem(manager, version, {
+                isCurrent: version === current,
+                isDefault: version === defaultVersion
+            }));
+
+        const aliases = await this.getAliases(manager, defaultVersion);
+        if (aliases.length > 0) {
+            const group = new vscode.TreeItem('Aliases', vscode.TreeItemCollapsibleState.Collapsed);
+            group.kind = 'aliases';
+            group.manager = manager;
+            group.aliases = aliases;
+            group.id = `aliases:${manager.name}`;
+            group.iconPath = new vscode.ThemeIcon('tag');
+            items.push(group);
+        }
+
+        if (items.length === 0) {
+            const empty = new vscode.TreeItem('No versions installed');
+            empty.iconPath = new vscode.ThemeIcon('info');
+            return [empty];
+        }
+        return items;
+    }
+
+    /**
+     * Get the aliases shown for a manager
+     * Managers without alias support only show their default version
+     * @returns {Promise<Array<{name: string, target: string, version: string|null}>>}
+     */
+    async getAliases(manager, defaultVersion) {
+        if (manager.supportsAliases()) {
+            return await manager.getAliases();
+        }
+        return defaultVersion ? [{ name: 'default', target: defaultVersion, version: defaultVersion }] : [];
+    }
+
+    /**
+     * Build the item for an installed version
+     */
+    createVersionItem(manager, version, { isCurrent, isDefault }) {
+        const item = new vscode.TreeItem(version);
+        item.kind = 'version';
+        item.manager = manager;
+        item.version = version;
+        item.id = `version:${manager.name}:${version}`;
+
+        const markers = [];
+        if (isCurrent) {
+            markers.push('current');
+        }
+        if (isDefault) {
+            markers.push('default');
+        }
+        item.description = markers.join(', ') || undefined;
+        item.iconPath = new vscode.ThemeIcon(isCurrent ? 'check' : 'circle-outline');
+
+        const installDir = this.getInstallDir(manager, version);
+        item.tooltip = installDir ? `Node ${version}\n${installDir}` : `Node ${version}`;
+
+        const actions = ['version', ...this.getScopeActions(manager)];
+        if (!isDefault) {
+            actions.push('default');
+        }
+        if (!isCurrent && !isDefault) {
+            actions.push('uninstall');
+        }
+        if (installDir) {
+            actions.push('reveal', 'terminal');
+        }
+        if (manager.supportsAliases()) {
+            actions.push('alias');
+        }
+        item.contextValue = actions.join(':');
+        return item;
+    }
+
+    /**
+     * Build the item for an alias
+     */
+    createAliasItem(manager, alias) {
+        const item = new vscode.TreeItem(alias.name);
+        item.kind = 'alias';
+        item.manager = manager;
+        item.aliasName = alias.name;
+        item.version = alias.version;
+        item.id = `alias:${manager.name}:${alias.name}`;
+        item.description = alias.version ? `→ ${alias.version}` : `→ ${alias.target} (not installed)`;
+        item.tooltip = alias.target && alias.target !== alias.version
+            ? `${alias.name} → ${alias.target}${alias.version ? ` (${alias.version})` : ''}`
+            : undefined;
+        item.iconPath = new vscode.ThemeIcon('tag');
+
+        const actions = ['alias'];
+        if (alias.version) {
+            actions.push(...this.getScopeActions(manager));
+        }
+        if (manager.supportsAliases()) {
+            actions.push('delete');
+        }
+        item.contextValue = actions.join(':');
+        return item;
+    }
+
+    /**
+     * Get the ways a manager can switch versions
+     * fnm only pins versions per folder, n and nvm-windows only switch globally
+     */
+    getScopeActions(manager) {
+        const actions = [];
+        if (manager.supportsScope() || manager.name !== 'fnm') {
+            actions.push('global');
+        }
+        if (manager.supportsScope() || manager.name === 'fnm') {
+            actions.push('local');
+        }
+        return actions;
+    }
+
+    /**
+     * Get the installation directory of a version, if it can be located
+     */
+    getInstallDir(manager, version) {
+        return manager.getInstallDirs(version).find(dir => fs.existsSync(dir)) || null;
+    }
+
+    /**
+     * Use a version globally or for a workspace folder
+     */
+    async useVersion(item, scope) {
+        if (!item || !item.version) {
+            return;
+        }
+
+        const { manager, version } = item;
+        try {
+            let folderPath = null;
+            if (scope === 'local') {
+                folderPath = await WorkspaceHelper.pickFolderPath(`Select the folder to use Node ${version} in`);
+                if (folderPath === undefined) {
+                    return;
+                }
+                folderPath = WorkspaceHelper.getLocalFolderPath(folderPath);
+            }
+
+            await manager.setVersion(version, scope, folderPath);
+            const scopeLabel = folderPath ? `local: ${path.basename(folderPath)}` : 'global';
+            vscode.window.showInformationMessage(`Node version switched to: ${version} (${scopeLabel})`);
+            await this.statusBarManager.update();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to set version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make a version the manager's default
+     */
+    async setDefault(item) {
+        if (!item || !item.version) {
+            return;
+        }
+
+        try {
+            await item.manager.setDefaultVersion(item.version);
+            vscode.window.showInformationMessage(`Node ${item.version} set as default (${item.manager.getDisplayName()})`);
+            await this.statusBarManager.update();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to set default version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uninstall a version after checking it isn't protected
+     */
+    async uninstall(item) {
+        if (!item || !item.version) {
+            return;
+        }
+
+        const { manager, version } = item;
+        try {
+            const installedVersions = await manager.getInstalledVersions();
+            const protectedVersions = await this.commands.getProtectedVersions(manager, installedVersions);
+            const reasons = protectedVersions.get(version);
+            if (reasons) {
+                vscode.window.showWarningMessage(`Node ${version} can't be uninstalled: ${reasons.join(', ')}`);
+                return;
+            }
+
+            const size = await this.commands.getVersionSize(manager, version);
+            const confirm = await vscode.window.showWarningMessage(
+                `Uninstall Node ${version}${size ? ` and free ${DiskUsage.format(size)}` : ''}?`,
+                { modal: true },
+                'Uninstall'
+            );
+            if (confirm !== 'Uninstall') {
+                return;
+            }
+
+            await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Notification,
+                    title: `Uninstalling Node ${version}...`
+                },
+                () => manager.uninstallVersion(version)
+            );
+            vscode.window.showInformationMessage(
+                `Uninstalled Node ${version}${size ? `, freed ${DiskUsage.format(size)}` : ''}`
+            );
+            await this.statusBarManager.update();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to uninstall version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show a version's installation directory in the OS file manager
+     */
+    async reveal(item) {
+        const installDir = item && item.version ? this.getInstallDir(item.manager, item.version) : null;
+        if (!installDir) {
+            vscode.window.showErrorMessage(`Could not find the installation of Node ${item ? item.version : ''}`);
+            return;
+        }
+        await vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(installDir));
+    }
+
+    /**
+     * Open an integrated terminal with a version first on PATH
+     */
+    openTerminal(item) {
+        if (!item || !item.version) {
+            return;
+        }
+
+        try {
+            const binDir = NodeRuntime.getBinDir(item.manager, item.version);
+            const terminal = vscode.window.createTerminal({
+                name: `Node ${item.version}`,
+                cwd: WorkspaceHelper.getActiveFolderPath() || undefined,
+                env: NodeRuntime.prependPath({}, binDir)
+            });
+
+            // The terminal PATH setting prepends the project's version to every terminal, including this one,
+            // so the shell is asked to put this version back in front
+            const config = vscode.workspace.getConfiguration('fastNodeSwitcher');
+            if (config.get('terminalPath', true)) {
+                terminal.sendText(this.getPathCommand(binDir));
+            }
+            terminal.show();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to open terminal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the command that prepends a directory to PATH in the user's default shell
+     */
+    getPathCommand(binDir) {
+        const shell = path.basename(vscode.env.shell || '').toLowerCase();
+        if (shell.startsWith('pwsh') || shell.startsWith('powershell')) {
+            return `$env:PATH = "${binDir}${path.delimiter}" + $env:PATH`;
+        }
+        if (shell === 'cmd.exe' || shell === 'cmd') {
+            return `set "PATH=${binDir};%PATH%"`;
+        }
+        if (shell.startsWith('fish')) {
+            return `set -gx PATH "${binDir}" $PATH`;
+        }
+        return `export PATH="${binDir}:$PATH"`;
+    }
+
+    /**
+     * Dispose resources
+     */
+    dispose() {
+        this.changeEmitter.dispose();
+    }
+}
+
+module.exports = VersionTreeProvider;